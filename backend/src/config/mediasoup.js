@@ -1,8 +1,21 @@
+const os = require('os');
+const { EventEmitter } = require('events');
 const mediasoup = require('mediasoup');
 
-// Global variables for mediasoup
-let worker;
-let router;
+// Worker pool and per-room routers
+const workers = []; // mediasoup workers, one per core by default
+const roomRouters = new Map(); // roomId -> [router, ...] (the first one is the room's primary router)
+const pendingRouters = new Map(); // roomId -> Promise<router> while being created
+const pipedProducers = new Map(); // `${producerId}:${routerId}` -> Promise<pipeProducer | pipeDataProducer>
+let defaultRtpCapabilities = null;
+
+// Emits 'routerFailed' (roomId) and 'routerRecreated' (roomId, router) when a worker dies
+const mediasoupEvents = new EventEmitter();
+
+const numWorkers = parseInt(process.env.MEDIASOUP_NUM_WORKERS) || os.cpus().length;
+
+// Once every router of a room holds this many participants, the room spans a new router
+const maxParticipantsPerRouter = parseInt(process.env.MEDIASOUP_MAX_PARTICIPANTS_PER_ROUTER) || 100;
 
 // Router codecs configuration
 const routerCodecs = [
@@ -25,7 +38,20 @@ const routerCodecs = [
   {
     kind: 'video',
     mimeType: 'video/VP8',
-    clockRate: 90000
+    clockRate: 90000,
+    parameters: {
+      'x-google-start-bitrate': 1000
+    }
+  },
+  // VP9 lets clients send SVC (spatial/temporal layers in a single stream); VP8/H264 use simulcast
+  {
+    kind: 'video',
+    mimeType: 'video/VP9',
+    clockRate: 90000,
+    parameters: {
+      'profile-id': 2,
+      'x-google-start-bitrate': 1000
+    }
   }
 ];
 
@@ -41,7 +67,6 @@ const webRtcTransportOptions = {
   enableTcp: true,
   preferUdp: true,
   initialAvailableOutgoingBitrate: 1000000,
-  maxIncomingBitrate: 1500000,
   maxSctpMessageSize: 262144,
   enableSctp: true,
   numSctpStreams: { OS: 1024, MIS: 1024 }
@@ -62,37 +87,305 @@ const workerSettings = {
   rtcMaxPort: parseInt(process.env.MEDIASOUP_MAX_PORT) || 49999
 };
 
-// Initialize mediasoup worker and router
+// Create a single worker and track its load in appData
+const createWorker = async () => {
+  const worker = await mediasoup.createWorker({
+    ...workerSettings,
+    appData: { load: { routers: 0, transports: 0 } }
+  });
+
+  worker.on('died', (error) => {
+    console.error(`Mediasoup worker ${worker.pid} died:`, error);
+    handleWorkerDeath(worker).catch((err) => {
+      console.error('Failed to recover from worker death:', err);
+    });
+  });
+
+  workers.push(worker);
+  return worker;
+};
+
+// Replace a dead worker and rebuild the rooms it hosted on healthy workers
+const handleWorkerDeath = async (deadWorker) => {
+  const index = workers.indexOf(deadWorker);
+  if (index !== -1) {
+    workers.splice(index, 1);
+  }
+
+  const affectedRooms = [];
+  for (const [roomId, routers] of roomRouters) {
+    if (routers.some(router => router.appData.workerPid === deadWorker.pid)) {
+      affectedRooms.push(roomId);
+    }
+  }
+
+  // A room that lost any of its routers is rebuilt from scratch: its pipes are broken too
+  for (const roomId of affectedRooms) {
+    const routers = roomRouters.get(roomId);
+    roomRouters.delete(roomId);
+    for (const router of routers) {
+      router.close();
+    }
+    mediasoupEvents.emit('routerFailed', roomId);
+  }
+
+  try {
+    const worker = await createWorker();
+    console.log(`Respawned mediasoup worker ${worker.pid} to replace ${deadWorker.pid}`);
+  } catch (error) {
+    console.error('Failed to respawn mediasoup worker:', error);
+    if (workers.length === 0) {
+      console.error('No mediasoup workers left, exiting');
+      setTimeout(() => process.exit(1), 2000);
+      return;
+    }
+  }
+
+  for (const roomId of affectedRooms) {
+    try {
+      const router = await createRouter(roomId);
+      console.log(`Room ${roomId} rebuilt on worker ${router.appData.workerPid}`);
+      mediasoupEvents.emit('routerRecreated', roomId, router);
+    } catch (error) {
+      console.error(`Failed to rebuild router for room ${roomId}:`, error);
+    }
+  }
+};
+
+// Initialize the mediasoup worker pool
 const initializeMediasoup = async () => {
   try {
-    console.log('Initializing mediasoup worker...');
-    
-    // Create worker
-    worker = await mediasoup.createWorker(workerSettings);
+    console.log(`Initializing ${numWorkers} mediasoup worker(s)...`);
     
-    worker.on('died', (error) => {
-      console.error('Mediasoup worker died:', error);
-      setTimeout(() => process.exit(1), 2000);
-    });
+    for (let i = 0; i < numWorkers; i++) {
+      const worker = await createWorker();
+      console.log(`Worker PID: ${worker.pid}`);
+    }
 
-    // Create router
-    router = await worker.createRouter({ mediaCodecs: routerCodecs });
+    // All routers share the same codecs, so their RTP capabilities are identical.
+    // Keep a copy for clients that ask before any room exists.
+    const probeRouter = await workers[0].createRouter({ mediaCodecs: routerCodecs });
+    defaultRtpCapabilities = probeRouter.rtpCapabilities;
+    probeRouter.close();
     
-    console.log('Mediasoup worker and router initialized successfully');
-    console.log(`Worker PID: ${worker.pid}`);
-    console.log(`Router ID: ${router.id}`);
+    console.log('Mediasoup worker pool initialized successfully');
     
-    return { worker, router };
+    return { workers };
   } catch (error) {
     console.error('Failed to initialize mediasoup:', error);
     process.exit(1);
   }
 };
 
-// Create WebRTC transport
-const createWebRtcTransport = async () => {
+// Load score used to place new rooms: transports weigh the most, routers break ties
+const getWorkerLoad = (worker) => worker.appData.load;
+
+// Pick the least-loaded worker, avoiding excluded workers when any other is available
+const getLeastLoadedWorker = (excludePids = []) => {
+  if (workers.length === 0) {
+    throw new Error('No mediasoup workers available');
+  }
+
+  const preferred = workers.filter(w => !excludePids.includes(w.pid));
+  const candidates = preferred.length > 0 ? preferred : workers;
+
+  return candidates.reduce((best, worker) => {
+    const load = getWorkerLoad(worker);
+    const bestLoad = getWorkerLoad(best);
+    if (load.transports < bestLoad.transports ||
+        (load.transports === bestLoad.transports && load.routers < bestLoad.routers)) {
+      return worker;
+    }
+    return best;
+  });
+};
+
+// Create a router for a room on the least-loaded worker and track it
+const spawnRouter = async (roomId, excludePids = []) => {
+  const worker = getLeastLoadedWorker(excludePids);
+  const router = await worker.createRouter({
+    mediaCodecs: routerCodecs,
+    appData: { roomId, workerPid: worker.pid, participants: 0 }
+  });
+
+  const load = getWorkerLoad(worker);
+  load.routers++;
+
+  router.observer.on('close', () => {
+    load.routers--;
+
+    for (const key of pipedProducers.keys()) {
+      if (key.endsWith(`:${router.id}`)) {
+        pipedProducers.delete(key);
+      }
+    }
+
+    // Keep the entry when the worker died so handleWorkerDeath knows which rooms to rebuild
+    const routers = roomRouters.get(roomId);
+    if (worker.died || !routers) return;
+
+    const index = routers.indexOf(router);
+    if (index !== -1) {
+      routers.splice(index, 1);
+    }
+    if (routers.length === 0) {
+      roomRouters.delete(roomId);
+    }
+  });
+
+  console.log(`Router ${router.id} created for room ${roomId} on worker ${worker.pid}`);
+  return router;
+};
+
+// Create (or get) the primary router for a room
+const createRouter = async (roomId) => {
+  if (roomRouters.has(roomId)) {
+    return roomRouters.get(roomId)[0];
+  }
+  if (pendingRouters.has(roomId)) {
+    return pendingRouters.get(roomId);
+  }
+
+  const pending = spawnRouter(roomId).then((router) => {
+    roomRouters.set(roomId, [router]);
+    return router;
+  });
+
+  pendingRouters.set(roomId, pending);
   try {
-    const transport = await router.createWebRtcTransport(webRtcTransportOptions);
+    return await pending;
+  } finally {
+    pendingRouters.delete(roomId);
+  }
+};
+
+// Get a room's router by ID, or its primary router when no ID is given
+const getRouter = (roomId, routerId) => {
+  const routers = roomRouters.get(roomId);
+  if (!routers) return undefined;
+  return routerId ? routers.find(r => r.id === routerId) : routers[0];
+};
+
+// Get every router a room spans
+const getRoomRouters = (roomId) => {
+  return roomRouters.get(roomId) || [];
+};
+
+// Pick a router with free capacity for a new participant, spanning a new worker when all are full
+const assignRouter = async (roomId) => {
+  const routers = roomRouters.get(roomId);
+  if (!routers) {
+    throw new Error(`No router for room ${roomId}`);
+  }
+
+  let router = routers.find(r => r.appData.participants < maxParticipantsPerRouter);
+
+  if (!router) {
+    const pendingKey = `${roomId}:overflow`;
+    if (!pendingRouters.has(pendingKey)) {
+      const usedPids = routers.map(r => r.appData.workerPid);
+      pendingRouters.set(pendingKey, spawnRouter(roomId, usedPids).then((overflowRouter) => {
+        routers.push(overflowRouter);
+        return overflowRouter;
+      }).finally(() => pendingRouters.delete(pendingKey)));
+    }
+    router = await pendingRouters.get(pendingKey);
+  }
+
+  router.appData.participants++;
+  return router;
+};
+
+// Release a participant's slot; extra routers are closed once empty
+const releaseRouter = (roomId, routerId) => {
+  const routers = roomRouters.get(roomId);
+  const router = routers ? routers.find(r => r.id === routerId) : null;
+  if (!router) return;
+
+  router.appData.participants = Math.max(0, router.appData.participants - 1);
+  if (router !== routers[0] && router.appData.participants === 0) {
+    router.close();
+  }
+};
+
+// Make a producer or data producer available on another router of the room (the pipe keeps the same ID).
+// Producer and data producer IDs are UUIDs, so both share one cache.
+const pipeToRouter = async (roomId, id, sourceRouterId, targetRouterId, isData) => {
+  if (!sourceRouterId || !targetRouterId || sourceRouterId === targetRouterId) return;
+
+  const key = `${id}:${targetRouterId}`;
+  if (!pipedProducers.has(key)) {
+    const source = getRouter(roomId, sourceRouterId);
+    const target = getRouter(roomId, targetRouterId);
+    if (!source || !target) {
+      throw new Error(`Router not found in room ${roomId}`);
+    }
+
+    const options = isData ? { dataProducerId: id, router: target } : { producerId: id, router: target };
+    const pending = source.pipeToRouter(options)
+      .then(({ pipeProducer, pipeDataProducer }) => {
+        const piped = isData ? pipeDataProducer : pipeProducer;
+        piped.observer.on('close', () => {
+          pipedProducers.delete(key);
+        });
+        return piped;
+      })
+      .catch((error) => {
+        pipedProducers.delete(key);
+        throw error;
+      });
+
+    pipedProducers.set(key, pending);
+  }
+
+  return pipedProducers.get(key);
+};
+
+const pipeProducerToRouter = (roomId, producerId, sourceRouterId, targetRouterId) =>
+  pipeToRouter(roomId, producerId, sourceRouterId, targetRouterId, false);
+
+const pipeDataProducerToRouter = (roomId, dataProducerId, sourceRouterId, targetRouterId) =>
+  pipeToRouter(roomId, dataProducerId, sourceRouterId, targetRouterId, true);
+
+// Close every router of a room (closes all their transports)
+const closeRouter = (roomId) => {
+  const routers = roomRouters.get(roomId);
+  if (routers) {
+    roomRouters.delete(roomId);
+    for (const router of routers) {
+      router.close();
+    }
+  }
+};
+
+// Create WebRTC transport on the room's router (or one specific router of the room),
+// capped by the given bandwidth limits ({ maxIncomingBitrate, maxOutgoingBitrate } in bps)
+const createWebRtcTransport = async (roomId, routerId, limits = {}, appData = {}) => {
+  try {
+    const router = getRouter(roomId, routerId);
+    if (!router) {
+      throw new Error(`No router for room ${roomId}`);
+    }
+
+    const { maxIncomingBitrate, maxOutgoingBitrate } = limits;
+    const transport = await router.createWebRtcTransport({
+      ...webRtcTransportOptions,
+      initialAvailableOutgoingBitrate: Math.min(
+        webRtcTransportOptions.initialAvailableOutgoingBitrate,
+        maxOutgoingBitrate || Infinity
+      ),
+      appData
+    });
+    await setTransportBitrates(transport, limits);
+
+    const worker = workers.find(w => w.pid === router.appData.workerPid);
+    const load = worker ? getWorkerLoad(worker) : null;
+    if (load) {
+      load.transports++;
+      transport.observer.on('close', () => {
+        load.transports--;
+      });
+    }
     
     transport.on('dtlsstatechange', (dtlsState) => {
       if (dtlsState === 'closed') {
@@ -120,25 +413,57 @@ const createWebRtcTransport = async () => {
   }
 };
 
-// Get router RTP capabilities
-const getRouterRtpCapabilities = () => {
-  return router.rtpCapabilities;
+// Apply bandwidth caps to a live transport (either limit may be omitted)
+const setTransportBitrates = async (transport, { maxIncomingBitrate, maxOutgoingBitrate }) => {
+  if (maxIncomingBitrate) {
+    await transport.setMaxIncomingBitrate(maxIncomingBitrate);
+  }
+  if (maxOutgoingBitrate) {
+    await transport.setMaxOutgoingBitrate(maxOutgoingBitrate);
+  }
+};
+
+// Get router RTP capabilities (falls back to the shared capabilities when the room has no router yet)
+const getRouterRtpCapabilities = (roomId) => {
+  const router = roomId ? getRouter(roomId) : null;
+  return router ? router.rtpCapabilities : defaultRtpCapabilities;
+};
+
+// Per-worker load summary
+const getWorkerLoads = () => {
+  return workers.map(worker => ({
+    pid: worker.pid,
+    ...getWorkerLoad(worker)
+  }));
 };
 
-// Close worker
-const closeWorker = () => {
-  if (worker) {
+// Close all workers
+const closeWorkers = () => {
+  for (const worker of workers) {
     worker.close();
   }
+  workers.length = 0;
+  roomRouters.clear();
+  pipedProducers.clear();
 };
 
 module.exports = {
   initializeMediasoup,
+  createRouter,
+  getRouter,
+  getRoomRouters,
+  assignRouter,
+  releaseRouter,
+  pipeProducerToRouter,
+  pipeDataProducerToRouter,
+  closeRouter,
   createWebRtcTransport,
+  setTransportBitrates,
   getRouterRtpCapabilities,
-  closeWorker,
-  getWorker: () => worker,
-  getRouter: () => router,
+  getWorkerLoads,
+  closeWorkers,
+  getWorkers: () => workers,
+  mediasoupEvents,
   routerCodecs,
   webRtcTransportOptions
 };
\ No newline at end of file
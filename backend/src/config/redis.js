@@ -0,0 +1,50 @@
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+// Redis clients (only used when ROOM_STORE=redis)
+let pubClient;
+let subClient;
+
+// Connect to Redis: one client for commands/publishing and one for the adapter's subscriptions
+const initializeRedis = async () => {
+  if (pubClient) {
+    return pubClient;
+  }
+
+  const url = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+  console.log(`Connecting to Redis at ${url}...`);
+
+  pubClient = createClient({ url });
+  subClient = pubClient.duplicate();
+
+  pubClient.on('error', (error) => console.error('Redis client error:', error));
+  subClient.on('error', (error) => console.error('Redis subscriber error:', error));
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  console.log('Redis connected successfully');
+  return pubClient;
+};
+
+// Socket.IO adapter so io.to(roomId) reaches sockets on every instance
+const createSocketAdapter = () => {
+  if (!pubClient || !subClient) {
+    throw new Error('Redis is not initialized');
+  }
+  return createAdapter(pubClient, subClient);
+};
+
+// Close Redis connections
+const closeRedis = async () => {
+  const clients = [pubClient, subClient].filter(client => client && client.isOpen);
+  pubClient = null;
+  subClient = null;
+  await Promise.all(clients.map(client => client.quit()));
+};
+
+module.exports = {
+  initializeRedis,
+  createSocketAdapter,
+  closeRedis,
+  getRedisClient: () => pubClient
+};
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const express = require('express');
+const metricsService = require('../services/metricsService');
+
+const router = express.Router();
+
+// Scrapers authenticate with METRICS_TOKEN; the endpoint is off until a token is configured
+const tokenMatches = (header) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token || !header || !header.startsWith('Bearer ')) {
+    return false;
+  }
+
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(header.substring(7));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Prometheus metrics
+router.get('/', async (req, res) => {
+  try {
+    if (!process.env.METRICS_TOKEN) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Metrics are disabled'
+      });
+    }
+
+    if (!tokenMatches(req.headers.authorization)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Missing or invalid metrics token'
+      });
+    }
+
+    res.set('Content-Type', metricsService.contentType);
+    res.send(await metricsService.getMetrics());
+  } catch (error) {
+    console.error('Error collecting metrics:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to collect metrics'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const recordingService = require('../services/recordingService');
+
+const router = express.Router();
+
+// All recording routes are teacher only
+router.use(authenticateToken, requireRole('teacher'));
+
+// List finished recordings of rooms the teacher was in (optionally filtered by ?roomId=)
+router.get('/', async (req, res) => {
+  try {
+    const recordings = await recordingService.listRecordings(req.query.roomId, req.user.uid);
+    res.json({
+      success: true,
+      recordings
+    });
+  } catch (error) {
+    console.error('Error listing recordings:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list recordings'
+    });
+  }
+});
+
+// Download a recording file (teachers who were in the room only)
+router.get('/:roomId/:sessionId/:fileName', async (req, res) => {
+  try {
+    const { roomId, sessionId, fileName } = req.params;
+    const filePath = await recordingService.resolveFile(roomId, sessionId, fileName, req.user.uid);
+
+    if (!filePath) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Recording not found'
+      });
+    }
+
+    res.download(filePath);
+  } catch (error) {
+    console.error('Error downloading recording:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to download recording'
+    });
+  }
+});
+
+module.exports = router;
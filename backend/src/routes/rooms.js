@@ -0,0 +1,288 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { createRouter } = require('../config/mediasoup');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const roomService = require('../services/roomService');
+const audioObserverService = require('../services/audioObserverService');
+const egressService = require('../services/egressService');
+const pollService = require('../services/pollService');
+const bandwidthPolicy = require('../services/bandwidthPolicy');
+const { roomIdPattern } = require('../services/roomIds');
+
+const router = express.Router();
+
+// List active rooms on this instance (teacher only)
+router.get('/', authenticateToken, requireRole('teacher'), (req, res) => {
+  try {
+    const rooms = roomService.getAllRooms().map((roomId) => {
+      const { participants: _participants, ...stats } = roomService.getRoomStats(roomId);
+      return stats;
+    });
+
+    res.json({
+      success: true,
+      rooms
+    });
+  } catch (error) {
+    console.error('Error listing rooms:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to list rooms'
+    });
+  }
+});
+
+// Create a room ahead of time (teacher only)
+router.post('/', authenticateToken, requireRole('teacher'), async (req, res) => {
+  try {
+    const { roomId = uuidv4(), lobby = false } = req.body || {};
+
+    if (typeof roomId !== 'string' || !roomIdPattern.test(roomId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Room ID may only contain letters, digits, - and _ (up to 128 characters)'
+      });
+    }
+
+    if (await roomService.isRoomActive(roomId)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Room already exists'
+      });
+    }
+
+    await createRouter(roomId);
+    await audioObserverService.attachToRoom(roomId);
+    roomService.createRoom(roomId);
+    if (lobby) {
+      roomService.setLobbyEnabled(roomId, true);
+    }
+
+    console.log(`Teacher ${req.user.name} created room ahead of time: ${roomId}`);
+
+    res.status(201).json({
+      success: true,
+      room: roomService.getRoomStats(roomId)
+    });
+  } catch (error) {
+    console.error('Error creating room:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create room'
+    });
+  }
+});
+
+// Get a room's stats and roster (teacher only)
+router.get('/:roomId', authenticateToken, requireRole('teacher'), (req, res) => {
+  const stats = roomService.getRoomStats(req.params.roomId);
+  if (!stats) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Room not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    room: stats
+  });
+});
+
+// Change a room's bandwidth policy; live transports are re-capped (teacher only)
+router.put('/:roomId/bandwidth', authenticateToken, requireRole('teacher'), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    if (!roomService.getRoom(roomId)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Room not found'
+      });
+    }
+
+    const { changes, error } = bandwidthPolicy.validatePolicy(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error
+      });
+    }
+
+    const { policy, updatedTransports } = await roomService.updateBandwidthPolicy(roomId, changes);
+    req.app.get('io').to(roomId).emit('bandwidth:policy', { policy, by: req.user.name });
+
+    console.log(`Teacher ${req.user.name} updated the bandwidth policy in room: ${roomId} (${updatedTransports} transports)`);
+
+    res.json({
+      success: true,
+      policy,
+      updatedTransports
+    });
+  } catch (error) {
+    console.error('Error updating bandwidth policy:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update bandwidth policy'
+    });
+  }
+});
+
+// Close a room and its breakout rooms, disconnecting everyone in them (teacher only)
+router.delete('/:roomId', authenticateToken, requireRole('teacher'), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const io = req.app.get('io');
+
+    const closedRoomIds = roomService.closeRoom(roomId);
+    if (closedRoomIds.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Room not found'
+      });
+    }
+
+    for (const id of closedRoomIds) {
+      io.to(id).emit('roomClosed', { roomId: id, by: req.user.name });
+      io.in(id).disconnectSockets(true);
+    }
+
+    console.log(`Teacher ${req.user.name} closed room: ${roomId}`);
+
+    res.json({
+      success: true,
+      closedRoomIds
+    });
+  } catch (error) {
+    console.error('Error closing room:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to close room'
+    });
+  }
+});
+
+// Public, token-gated HLS playlist of a room's live broadcast
+router.get('/:roomId/live.m3u8', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    if (!egressService.verifyToken(roomId, req.query.token)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Live stream not found'
+      });
+    }
+
+    const playlist = await egressService.getPlaylist(roomId);
+    if (!playlist) {
+      // The transcoder hasn't produced its first segment yet
+      res.set('Retry-After', '2');
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'Live stream is starting'
+      });
+    }
+
+    res.set('Cache-Control', 'no-cache');
+    res.type('application/vnd.apple.mpegurl').send(playlist);
+  } catch (error) {
+    console.error('Error serving live playlist:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to serve live stream'
+    });
+  }
+});
+
+// Public, token-gated HLS segment
+router.get('/:roomId/live/:segment', async (req, res) => {
+  try {
+    const { roomId, segment } = req.params;
+
+    const filePath = egressService.verifyToken(roomId, req.query.token)
+      ? await egressService.resolveSegment(roomId, segment)
+      : null;
+
+    if (!filePath) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Segment not found'
+      });
+    }
+
+    res.type('video/mp2t').sendFile(filePath);
+  } catch (error) {
+    console.error('Error serving live segment:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to serve live stream'
+    });
+  }
+});
+
+// Export a room's whiteboard as SVG or JSON (teachers who have been in the room)
+router.get('/:roomId/whiteboard.:format', authenticateToken, requireRole('teacher'), (req, res) => {
+  try {
+    const { roomId, format } = req.params;
+
+    if (format !== 'svg' && format !== 'json') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Format must be svg or json'
+      });
+    }
+
+    const whiteboard = roomService.getWhiteboard(roomId);
+    if (!whiteboard || !roomService.wasRoomTeacher(roomId, req.user.uid)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Room not found'
+      });
+    }
+
+    res.attachment(`whiteboard-${roomId}.${format}`);
+    if (format === 'svg') {
+      res.type('image/svg+xml').send(whiteboard.toSVG());
+    } else {
+      res.json({ roomId, ...whiteboard.getSnapshot() });
+    }
+  } catch (error) {
+    console.error('Error exporting whiteboard:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to export whiteboard'
+    });
+  }
+});
+
+// Download a room's poll and quiz results as JSON or CSV (teachers who were in the room, optional ?sessionId=)
+router.get('/:roomId/polls.:format', authenticateToken, requireRole('teacher'), async (req, res) => {
+  try {
+    const { roomId, format } = req.params;
+
+    if (format !== 'json' && format !== 'csv') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Format must be json or csv'
+      });
+    }
+
+    const polls = await pollService.listPolls(roomId, req.query.sessionId, req.user.uid);
+
+    res.attachment(`polls-${roomId}.${format}`);
+    if (format === 'csv') {
+      res.type('text/csv').send(pollService.toCSV(polls));
+    } else {
+      res.json({ roomId, polls });
+    }
+  } catch (error) {
+    console.error('Error downloading poll results:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to download poll results'
+    });
+  }
+});
+
+module.exports = router;
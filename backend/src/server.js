@@ -9,9 +9,15 @@ const rateLimit = require('express-rate-limit');
 
 // Import configurations and middleware
 const { initializeFirebase } = require('./config/firebase');
-const { initializeMediasoup, closeWorker } = require('./config/mediasoup');
+const { initializeMediasoup, closeWorkers } = require('./config/mediasoup');
+const { initializeRedis, createSocketAdapter, closeRedis } = require('./config/redis');
+const roomService = require('./services/roomService');
+const RedisRoomStore = require('./services/stores/redisStore');
 
-// Import routes - All API routes removed as per requirements
+// Import routes
+const recordingRoutes = require('./routes/recordings');
+const roomRoutes = require('./routes/rooms');
+const metricsRoutes = require('./routes/metrics');
 
 // Import Socket.IO setup
 const setupSignaling = require('./sockets/signaling');
@@ -29,6 +35,9 @@ const io = new Server(server, {
   transports: ['websocket', 'polling']
 });
 
+// REST routes reach connected sockets through the app (e.g. closing a room)
+app.set('io', io);
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -61,13 +70,16 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 // Rate limiting
+const liveStreamPath = /^\/rooms\/[^/]+\/live(\.m3u8|\/[^/]+)$/;
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
   message: {
     error: 'Too many requests',
     message: 'Too many requests from this IP, please try again later.'
-  }
+  },
+  // HLS players poll the playlist and fetch a segment every few seconds (token gated, often many viewers per IP)
+  skip: (req) => liveStreamPath.test(req.path)
 });
 
 app.use('/api/', limiter);
@@ -109,8 +121,12 @@ app.get('/api/rtpCapabilities', (req, res) => {
   }
 });
 
-// API routes - All removed as per requirements
-// Only keeping mediasoup RTP capabilities endpoint for video conferencing
+// API routes
+app.use('/api/recordings', recordingRoutes);
+app.use('/api/rooms', roomRoutes);
+
+// Prometheus metrics (token protected, outside the API rate limit)
+app.use('/metrics', metricsRoutes);
 
 // Protected route to get user profile - Removed as per requirements
 
@@ -122,7 +138,10 @@ app.get('/', (req, res) => {
     status: 'Running',
     endpoints: {
       health: '/health',
-      rtpCapabilities: '/api/rtpCapabilities'
+      metrics: '/metrics',
+      rtpCapabilities: '/api/rtpCapabilities',
+      rooms: '/api/rooms',
+      recordings: '/api/recordings'
     },
     websocket: {
       path: '/socket.io/',
@@ -166,6 +185,15 @@ async function startServer() {
     console.log('Initializing Firebase...');
     initializeFirebase();
     
+    // Share room state and broadcasts between instances
+    if (process.env.ROOM_STORE === 'redis') {
+      console.log('Initializing Redis room store...');
+      const redisClient = await initializeRedis();
+      io.adapter(createSocketAdapter());
+      roomService.setStore(new RedisRoomStore(redisClient));
+      roomService.startHeartbeat();
+    }
+    
     // Initialize mediasoup
     console.log('Initializing mediasoup...');
     await initializeMediasoup();
@@ -196,10 +224,11 @@ process.on('SIGINT', () => {
   server.close(() => {
     console.log('HTTP server closed');
     
-    // Close mediasoup worker
-    closeWorker();
+    // Close mediasoup workers
+    closeWorkers();
     
-    process.exit(0);
+    roomService.stopHeartbeat();
+    closeRedis().finally(() => process.exit(0));
   });
 });
 
@@ -209,10 +238,11 @@ process.on('SIGTERM', () => {
   server.close(() => {
     console.log('HTTP server closed');
     
-    // Close mediasoup worker
-    closeWorker();
+    // Close mediasoup workers
+    closeWorkers();
     
-    process.exit(0);
+    roomService.stopHeartbeat();
+    closeRedis().finally(() => process.exit(0));
   });
 });
 
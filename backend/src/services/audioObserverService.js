@@ -0,0 +1,88 @@
+const { EventEmitter } = require('events');
+const { getRouter, pipeProducerToRouter } = require('../config/mediasoup');
+
+// Interval settings for the per-room observers
+const activeSpeakerInterval = parseInt(process.env.ACTIVE_SPEAKER_INTERVAL_MS) || 300;
+const audioLevelsInterval = parseInt(process.env.AUDIO_LEVELS_INTERVAL_MS) || 1000;
+
+// Detects who is talking in each room.
+// Observers live on the room's primary router; audio from other routers of the room is piped there.
+// Emits 'activeSpeaker' (roomId, producerId) and 'audioLevels' (roomId, [{ producerId, volume }]).
+class AudioObserverService extends EventEmitter {
+  constructor() {
+    super();
+    this.observers = new Map(); // roomId -> { routerId, activeSpeakerObserver, audioLevelObserver }
+    this.pending = new Map(); // roomId -> Promise while observers are being created
+  }
+
+  // Attach observers to the room's primary router (no-op if already attached to it)
+  async attachToRoom(roomId) {
+    const router = getRouter(roomId);
+    if (!router) return null;
+
+    const existing = this.observers.get(roomId);
+    if (existing && existing.routerId === router.id) {
+      return existing;
+    }
+
+    if (!this.pending.has(roomId)) {
+      this.pending.set(roomId, this.createObservers(roomId, router)
+        .finally(() => this.pending.delete(roomId)));
+    }
+    return this.pending.get(roomId);
+  }
+
+  // Create the active speaker and audio level observers on a router
+  async createObservers(roomId, router) {
+    const activeSpeakerObserver = await router.createActiveSpeakerObserver({
+      interval: activeSpeakerInterval
+    });
+    const audioLevelObserver = await router.createAudioLevelObserver({
+      maxEntries: 10,
+      threshold: -70,
+      interval: audioLevelsInterval
+    });
+
+    activeSpeakerObserver.on('dominantspeaker', ({ producer }) => {
+      this.emit('activeSpeaker', roomId, producer.id);
+    });
+
+    audioLevelObserver.on('volumes', (volumes) => {
+      this.emit('audioLevels', roomId, volumes.map(({ producer, volume }) => ({
+        producerId: producer.id,
+        volume
+      })));
+    });
+
+    audioLevelObserver.on('silence', () => {
+      this.emit('audioLevels', roomId, []);
+    });
+
+    const entry = { routerId: router.id, activeSpeakerObserver, audioLevelObserver };
+    this.observers.set(roomId, entry);
+
+    // Observers close together with their router
+    activeSpeakerObserver.observer.on('close', () => {
+      if (this.observers.get(roomId) === entry) {
+        this.observers.delete(roomId);
+      }
+    });
+
+    return entry;
+  }
+
+  // Observe an audio producer; sourceRouterId is the router it was produced on
+  async addProducer(roomId, producerId, sourceRouterId) {
+    const entry = this.observers.get(roomId);
+    if (!entry) return;
+
+    await pipeProducerToRouter(roomId, producerId, sourceRouterId, entry.routerId);
+    await entry.activeSpeakerObserver.addProducer({ producerId });
+    await entry.audioLevelObserver.addProducer({ producerId });
+  }
+}
+
+// Singleton instance
+const audioObserverService = new AudioObserverService();
+
+module.exports = audioObserverService;
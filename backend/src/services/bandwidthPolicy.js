@@ -0,0 +1,96 @@
+// Bandwidth policies: per-profile caps (bps) applied to WebRTC transports.
+// maxIncomingBitrate limits what a client may send us, maxOutgoingBitrate what we send them.
+// Teachers and students get their role's profile; screen share transports are also held to the screenShare profile.
+const profiles = ['teacher', 'student', 'screenShare'];
+const fields = ['maxIncomingBitrate', 'maxOutgoingBitrate'];
+
+// mediasoup refuses outgoing caps below 30 kbps
+const minBitrate = 30000;
+const maxBitrate = 100000000;
+
+const readBitrate = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+const defaultPolicy = {
+  teacher: {
+    maxIncomingBitrate: readBitrate('BANDWIDTH_TEACHER_MAX_INCOMING_BITRATE', 3000000),
+    maxOutgoingBitrate: readBitrate('BANDWIDTH_TEACHER_MAX_OUTGOING_BITRATE', 3000000)
+  },
+  student: {
+    maxIncomingBitrate: readBitrate('BANDWIDTH_STUDENT_MAX_INCOMING_BITRATE', 800000),
+    maxOutgoingBitrate: readBitrate('BANDWIDTH_STUDENT_MAX_OUTGOING_BITRATE', 2000000)
+  },
+  screenShare: {
+    maxIncomingBitrate: readBitrate('BANDWIDTH_SCREEN_SHARE_MAX_INCOMING_BITRATE', 2500000),
+    maxOutgoingBitrate: readBitrate('BANDWIDTH_SCREEN_SHARE_MAX_OUTGOING_BITRATE', 1000000)
+  }
+};
+
+// Copy of the defaults for a new room
+const getDefaultPolicy = () => mergePolicy(defaultPolicy, {});
+
+// Deep-copy a policy with a validated partial update applied
+const mergePolicy = (policy, changes) => {
+  const merged = {};
+  for (const profile of profiles) {
+    merged[profile] = { ...policy[profile], ...(changes[profile] || {}) };
+  }
+  return merged;
+};
+
+// Validate a partial policy such as { student: { maxIncomingBitrate: 500000 } }; returns { changes } or { error }
+const validatePolicy = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Policy must be an object' };
+  }
+
+  const changes = {};
+  for (const [profile, limits] of Object.entries(input)) {
+    if (!profiles.includes(profile)) {
+      return { error: `Profile must be one of: ${profiles.join(', ')}` };
+    }
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      return { error: `Limits for ${profile} must be an object` };
+    }
+
+    changes[profile] = {};
+    for (const [field, value] of Object.entries(limits)) {
+      if (!fields.includes(field)) {
+        return { error: `Limit must be one of: ${fields.join(', ')}` };
+      }
+      if (!Number.isInteger(value) || value < minBitrate || value > maxBitrate) {
+        return { error: `${profile}.${field} must be an integer between ${minBitrate} and ${maxBitrate} bps` };
+      }
+      changes[profile][field] = value;
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: 'Policy must change at least one profile' };
+  }
+  return { changes };
+};
+
+// Profile of a participant's role
+const getProfile = (role) => (role === 'teacher' ? 'teacher' : 'student');
+
+// Limits of a transport: its role's profile, and for screen share the screenShare profile
+// but never more than the role allows (clients choose the flag, so it must not raise a cap)
+const getLimits = (policy, role, { screenShare = false } = {}) => {
+  const roleLimits = policy[getProfile(role)];
+  const limits = { ...roleLimits };
+  if (screenShare) {
+    for (const field of fields) {
+      limits[field] = Math.min(roleLimits[field], policy.screenShare[field]);
+    }
+  }
+  return limits;
+};
+
+module.exports = {
+  profiles,
+  getDefaultPolicy,
+  mergePolicy,
+  validatePolicy,
+  getProfile,
+  getLimits
+};
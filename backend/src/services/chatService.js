@@ -0,0 +1,111 @@
+const { v4: uuidv4 } = require('uuid');
+const { getFirestore } = require('../config/firebase');
+
+// Chat history configuration
+const recentMessagesLimit = parseInt(process.env.CHAT_HISTORY_JOIN_LIMIT) || 50;
+const maxPageSize = 100;
+
+// Word filter: comma-separated words, masked (default) or rejected
+const bannedWords = (process.env.CHAT_BANNED_WORDS || '')
+  .split(',')
+  .map(word => word.trim().toLowerCase())
+  .filter(Boolean);
+const filterMode = process.env.CHAT_FILTER_MODE === 'reject' ? 'reject' : 'mask';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Persistent room chat, stored in Firestore under rooms/{roomId}/messages
+class ChatService {
+  constructor(words = bannedWords, mode = filterMode) {
+    this.configureFilter(words, mode);
+  }
+
+  // Replace the word filter; words match whole words, case-insensitively
+  configureFilter(words, mode = 'mask') {
+    this.filterMode = mode;
+    this.filterPattern = words.length > 0
+      ? new RegExp(`\\b(${words.map(escapeRegExp).join('|')})\\b`, 'gi')
+      : null;
+  }
+
+  // Apply the word filter; returns { text } or { error } when the text is rejected
+  filterText(text) {
+    if (!this.filterPattern || !text.match(this.filterPattern)) {
+      return { text };
+    }
+    if (this.filterMode === 'reject') {
+      return { error: 'Message contains blocked words' };
+    }
+    return { text: text.replace(this.filterPattern, word => '*'.repeat(word.length)) };
+  }
+
+  getMessages(roomId) {
+    return getFirestore().collection('rooms').doc(roomId).collection('messages');
+  }
+
+  // Build a message with a collision-free ID
+  createMessage(user, text) {
+    return {
+      id: uuidv4(),
+      userId: user.userId,
+      name: user.name,
+      role: user.role,
+      text,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Store a message under its room
+  async saveMessage(roomId, message) {
+    await this.getMessages(roomId).doc(message.id).set(message);
+    return message;
+  }
+
+  // Delete a stored message; returns false if it doesn't exist
+  async deleteMessage(roomId, messageId) {
+    const doc = this.getMessages(roomId).doc(messageId);
+    const snapshot = await doc.get();
+    if (!snapshot.exists) {
+      return false;
+    }
+
+    await doc.delete();
+    return true;
+  }
+
+  // Get a page of messages older than the `before` cursor (a message ID), oldest first.
+  // nextCursor is null once the beginning of the history is reached.
+  async getHistory(roomId, { before, limit = recentMessagesLimit } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || recentMessagesLimit, 1), maxPageSize);
+    const messages = this.getMessages(roomId);
+
+    let query = messages.orderBy('timestamp', 'desc');
+    if (before) {
+      const cursor = await messages.doc(before).get();
+      if (!cursor.exists) {
+        throw new Error('Unknown history cursor');
+      }
+      query = query.startAfter(cursor);
+    }
+
+    // Fetch one extra message to know whether another page exists
+    const snapshot = await query.limit(pageSize + 1).get();
+    const page = snapshot.docs.slice(0, pageSize).map(doc => doc.data());
+    const hasMore = snapshot.docs.length > pageSize;
+
+    return {
+      messages: page.reverse(),
+      nextCursor: hasMore && page.length > 0 ? page[0].id : null
+    };
+  }
+
+  // Most recent messages for late joiners
+  async getRecentMessages(roomId) {
+    return this.getHistory(roomId, { limit: recentMessagesLimit });
+  }
+}
+
+// Singleton instance
+const chatService = new ChatService();
+
+module.exports = chatService;
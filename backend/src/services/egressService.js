@@ -0,0 +1,312 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { getRouter, pipeProducerToRouter } = require('../config/mediasoup');
+const { createSessionSdp } = require('./recorders');
+const { isInside, resolveRoomDirectory } = require('./roomPaths');
+
+// Live egress configuration
+const hlsDir = path.resolve(process.env.EGRESS_HLS_DIR || './live');
+const rtmpUrl = process.env.EGRESS_RTMP_URL || ''; // e.g. rtmp://127.0.0.1:1935/live/{roomId}
+const transcoderPath = process.env.EGRESS_FFMPEG_PATH || 'ffmpeg';
+const transcoderIp = '127.0.0.1';
+const minPort = parseInt(process.env.EGRESS_MIN_PORT) || 51000;
+const maxPort = parseInt(process.env.EGRESS_MAX_PORT) || 51999;
+const transcoderStartDelayMs = 1000; // let the transcoder bind its ports before media flows
+
+const playlistName = 'live.m3u8';
+
+// Remove a broadcast's HLS output, never anything outside the HLS directory
+const removeOutput = (directory) => {
+  if (!isInside(hlsDir, directory)) {
+    throw new Error(`Refusing to remove ${directory}: not inside ${hlsDir}`);
+  }
+  return fs.promises.rm(directory, { recursive: true, force: true });
+};
+
+// Live broadcast egress.
+// A teacher's audio/video producers are consumed through PlainTransports on the room's primary router
+// and fed to a local ffmpeg that transcodes to H.264/AAC and writes HLS segments or pushes to RTMP.
+// Emits 'stopped' (roomId) whenever a broadcast ends, whether a teacher, its sources or the room ended it.
+class EgressService extends EventEmitter {
+  constructor() {
+    super();
+    this.broadcasts = new Map(); // roomId -> active broadcast
+    this.usedPorts = new Set(); // RTP ports handed to transcoders (RTCP uses port + 1)
+  }
+
+  // Reserve an even RTP port (and the RTCP port after it)
+  allocatePort() {
+    for (let port = minPort; port + 1 <= maxPort; port += 2) {
+      if (!this.usedPorts.has(port)) {
+        this.usedPorts.add(port);
+        return port;
+      }
+    }
+    throw new Error('No free egress ports');
+  }
+
+  releasePort(port) {
+    this.usedPorts.delete(port);
+  }
+
+  isRtmpConfigured() {
+    return rtmpUrl !== '';
+  }
+
+  isLive(roomId) {
+    return this.broadcasts.has(roomId);
+  }
+
+  // Get live status for a room (safe to share with every participant)
+  getStatus(roomId) {
+    const broadcast = this.broadcasts.get(roomId);
+    if (!broadcast) {
+      return { live: false };
+    }
+
+    return {
+      live: true,
+      mode: broadcast.mode,
+      startedAt: broadcast.startedAt,
+      startedBy: broadcast.startedBy
+    };
+  }
+
+  // Get the viewer URL for an HLS broadcast (teacher only, contains the view token)
+  getViewerUrl(roomId) {
+    const broadcast = this.broadcasts.get(roomId);
+    if (!broadcast || broadcast.mode !== 'hls') return null;
+
+    return `/api/rooms/${encodeURIComponent(roomId)}/${playlistName}?token=${broadcast.token}`;
+  }
+
+  // Check a viewer token in constant time
+  verifyToken(roomId, token) {
+    const broadcast = this.broadcasts.get(roomId);
+    if (!broadcast || broadcast.mode !== 'hls' || typeof token !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(broadcast.token);
+    const actual = Buffer.from(token);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // Build the transcoder command line
+  transcoderArgs({ sdpPath, mode, output }) {
+    const args = [
+      '-loglevel', 'warning',
+      '-protocol_whitelist', 'file,rtp,udp',
+      '-fflags', '+genpts',
+      '-i', sdpPath,
+      '-map', '0:v?',
+      '-map', '0:a?',
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-tune', 'zerolatency',
+      '-g', '60',
+      '-c:a', 'aac',
+      '-b:a', '128k',
+      '-ar', '48000'
+    ];
+
+    if (mode === 'rtmp') {
+      return [...args, '-f', 'flv', output];
+    }
+
+    return [
+      ...args,
+      '-f', 'hls',
+      '-hls_time', '2',
+      '-hls_list_size', '6',
+      '-hls_flags', 'delete_segments',
+      '-hls_segment_filename', path.join(path.dirname(output), 'segment-%05d.ts'),
+      output
+    ];
+  }
+
+  // Start broadcasting; producers: [{ producerId, kind, routerId }] (at most one audio and one video)
+  async start(roomId, { startedBy, producers, mode = 'hls' }) {
+    if (this.broadcasts.has(roomId)) {
+      throw new Error('Live broadcast already in progress');
+    }
+    if (mode === 'rtmp' && !this.isRtmpConfigured()) {
+      throw new Error('RTMP egress is not configured');
+    }
+    if (mode !== 'hls' && mode !== 'rtmp') {
+      throw new Error(`Unknown egress mode: ${mode}`);
+    }
+    if (producers.length === 0) {
+      throw new Error('Nothing to broadcast');
+    }
+
+    const router = getRouter(roomId);
+    if (!router) {
+      throw new Error(`No router for room ${roomId}`);
+    }
+
+    const broadcast = {
+      roomId,
+      mode,
+      startedBy,
+      startedAt: new Date(),
+      token: crypto.randomBytes(24).toString('hex'),
+      directory: resolveRoomDirectory(hlsDir, roomId),
+      tracks: [],
+      transcoder: null
+    };
+    this.broadcasts.set(roomId, broadcast);
+
+    try {
+      for (const { producerId, kind, routerId } of producers) {
+        await pipeProducerToRouter(roomId, producerId, routerId, router.id);
+
+        const transport = await router.createPlainTransport({
+          listenIp: transcoderIp,
+          rtcpMux: false,
+          comedia: false
+        });
+        // Tracked before taking a port so stop() closes the transport even when no port is left
+        const track = { port: null, transport, consumer: null, kind };
+        broadcast.tracks.push(track);
+        track.port = this.allocatePort();
+
+        await transport.connect({ ip: transcoderIp, port: track.port, rtcpPort: track.port + 1 });
+        track.consumer = await transport.consume({
+          producerId,
+          rtpCapabilities: router.rtpCapabilities,
+          paused: true
+        });
+        const { consumer } = track;
+
+        // The broadcast ends once none of its sources is left
+        consumer.on('producerclose', () => {
+          if (broadcast.tracks.every(track => track.consumer.closed)) {
+            this.stop(roomId).catch(error => console.error('Error stopping live broadcast:', error));
+          }
+        });
+      }
+
+      await removeOutput(broadcast.directory);
+      await fs.promises.mkdir(broadcast.directory, { recursive: true });
+
+      const sdpPath = path.join(broadcast.directory, 'input.sdp');
+      await fs.promises.writeFile(sdpPath, createSessionSdp({
+        ip: transcoderIp,
+        streams: broadcast.tracks.map(({ kind, consumer, port }) => ({
+          kind,
+          rtpParameters: consumer.rtpParameters,
+          port
+        }))
+      }));
+
+      const output = mode === 'rtmp'
+        ? rtmpUrl.replace('{roomId}', encodeURIComponent(roomId))
+        : path.join(broadcast.directory, playlistName);
+
+      const transcoder = spawn(transcoderPath, this.transcoderArgs({ sdpPath, mode, output }), {
+        stdio: ['ignore', 'ignore', 'pipe']
+      });
+      broadcast.transcoder = transcoder;
+
+      transcoder.stderr.on('data', (data) => {
+        console.log(`[egress ${transcoder.pid}] ${data.toString().trim()}`);
+      });
+      transcoder.on('error', (error) => {
+        console.error('Egress transcoder failed to start:', error.message);
+      });
+
+      setTimeout(async () => {
+        for (const { consumer, kind } of broadcast.tracks) {
+          try {
+            await consumer.resume();
+            if (kind === 'video') {
+              await consumer.requestKeyFrame();
+            }
+          } catch (error) {
+            console.error('Error resuming egress consumer:', error);
+          }
+        }
+      }, transcoderStartDelayMs);
+
+    } catch (error) {
+      await this.stop(roomId);
+      throw error;
+    }
+
+    // The broadcast ends with the room
+    router.observer.once('close', () => {
+      this.stop(roomId).catch(error => console.error('Error stopping live broadcast:', error));
+    });
+
+    console.log(`Live ${mode} broadcast started in room ${roomId}`);
+    return this.getStatus(roomId);
+  }
+
+  // Stop broadcasting and remove any HLS output
+  async stop(roomId) {
+    const broadcast = this.broadcasts.get(roomId);
+    if (!broadcast) return false;
+
+    this.broadcasts.delete(roomId);
+
+    for (const { transport, port } of broadcast.tracks) {
+      transport.close();
+      if (port !== null) {
+        this.releasePort(port);
+      }
+    }
+
+    const { transcoder } = broadcast;
+    if (transcoder && transcoder.exitCode === null && !transcoder.killed) {
+      transcoder.kill('SIGINT');
+    }
+
+    this.emit('stopped', roomId);
+
+    await removeOutput(broadcast.directory);
+
+    console.log(`Live broadcast stopped in room ${roomId}`);
+    return true;
+  }
+
+  // Read the playlist, pointing segment URIs at the token-gated segment route
+  async getPlaylist(roomId) {
+    const broadcast = this.broadcasts.get(roomId);
+    if (!broadcast) return null;
+
+    let playlist;
+    try {
+      playlist = await fs.promises.readFile(path.join(broadcast.directory, playlistName), 'utf8');
+    } catch (error) {
+      return null; // transcoder hasn't written its first segment yet
+    }
+
+    return playlist
+      .split('\n')
+      .map(line => (line && !line.startsWith('#') ? `live/${line}?token=${broadcast.token}` : line))
+      .join('\n');
+  }
+
+  // Resolve an HLS segment file, or null if it doesn't exist
+  async resolveSegment(roomId, segment) {
+    const broadcast = this.broadcasts.get(roomId);
+    if (!broadcast || !/^segment-\d+\.ts$/.test(segment)) return null;
+
+    const filePath = path.join(broadcast.directory, segment);
+    try {
+      await fs.promises.access(filePath);
+      return filePath;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Singleton instance
+const egressService = new EgressService();
+
+module.exports = egressService;
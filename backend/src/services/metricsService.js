@@ -0,0 +1,151 @@
+const client = require('prom-client');
+const { getWorkers, getWorkerLoads } = require('../config/mediasoup');
+const roomService = require('./roomService');
+
+// Prometheus metrics for the SFU and signaling, collected into a dedicated registry
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'videoconf_' });
+
+// Signaling: counted per event name; latency measured until the handler answers the ack
+const signalingEvents = new client.Counter({
+  name: 'videoconf_signaling_events_total',
+  help: 'Signaling events received, by event name and outcome',
+  labelNames: ['event', 'status'],
+  registers: [registry]
+});
+
+const signalingLatency = new client.Histogram({
+  name: 'videoconf_signaling_event_duration_seconds',
+  help: 'Time from receiving a signaling event to answering its acknowledgement',
+  labelNames: ['event'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [registry]
+});
+
+const authFailures = new client.Counter({
+  name: 'videoconf_signaling_auth_failures_total',
+  help: 'Socket.IO connections rejected by the authentication middleware',
+  labelNames: ['reason'],
+  registers: [registry]
+});
+
+const signalingViolations = new client.Counter({
+  name: 'videoconf_signaling_violations_total',
+  help: 'Signaling requests refused by rate limits or per-participant caps',
+  labelNames: ['event', 'type'],
+  registers: [registry]
+});
+
+// Room state, read from RoomService at scrape time
+const roomGauges = {
+  rooms: 'Active rooms',
+  participants: 'Participants in rooms (including those within the reconnection grace period)',
+  transports: 'Open WebRTC transports',
+  producers: 'Active producers',
+  consumers: 'Active consumers',
+  dataProducers: 'Active data producers',
+  dataConsumers: 'Active data consumers'
+};
+
+const toSnakeCase = (name) => name.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+
+for (const [key, help] of Object.entries(roomGauges)) {
+  new client.Gauge({
+    name: `videoconf_${toSnakeCase(key)}`,
+    help,
+    registers: [registry],
+    collect() {
+      this.set(roomService.getTotals()[key]);
+    }
+  });
+}
+
+// mediasoup workers: load from the pool and resource usage reported by each worker process
+new client.Gauge({
+  name: 'videoconf_mediasoup_worker_routers',
+  help: 'Routers hosted by each mediasoup worker',
+  labelNames: ['pid'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const { pid, routers } of getWorkerLoads()) {
+      this.set({ pid }, routers);
+    }
+  }
+});
+
+const workerCpu = new client.Gauge({
+  name: 'videoconf_mediasoup_worker_cpu_seconds',
+  help: 'CPU time used by each mediasoup worker since it started',
+  labelNames: ['pid', 'mode'],
+  registers: [registry]
+});
+
+const workerMemory = new client.Gauge({
+  name: 'videoconf_mediasoup_worker_max_rss_bytes',
+  help: 'Peak resident memory of each mediasoup worker',
+  labelNames: ['pid'],
+  registers: [registry]
+});
+
+// Refresh worker resource usage; called before each scrape
+const collectWorkerUsage = async () => {
+  workerCpu.reset();
+  workerMemory.reset();
+
+  await Promise.all(getWorkers().map(async (worker) => {
+    try {
+      // ru_utime / ru_stime are in milliseconds, ru_maxrss in kilobytes
+      const usage = await worker.getResourceUsage();
+      workerCpu.set({ pid: worker.pid, mode: 'user' }, usage.ru_utime / 1000);
+      workerCpu.set({ pid: worker.pid, mode: 'system' }, usage.ru_stime / 1000);
+      workerMemory.set({ pid: worker.pid }, usage.ru_maxrss * 1024);
+    } catch (error) {
+      console.error(`Error reading resource usage of worker ${worker.pid}:`, error);
+    }
+  }));
+};
+
+// Count an incoming signaling event and time its acknowledgement.
+// packet is the Socket.IO middleware packet ([event, ...args, ack?]); unknown events share one label.
+const observeSignalingEvent = (packet, knownEvent) => {
+  const event = knownEvent ? packet[0] : 'unknown';
+  const ackIndex = packet.length - 1;
+
+  if (ackIndex < 1 || typeof packet[ackIndex] !== 'function') {
+    signalingEvents.inc({ event, status: 'no_ack' });
+    return;
+  }
+
+  const ack = packet[ackIndex];
+  const endTimer = signalingLatency.startTimer({ event });
+  packet[ackIndex] = (response, ...rest) => {
+    endTimer();
+    signalingEvents.inc({ event, status: response && response.error ? 'error' : 'ok' });
+    return ack(response, ...rest);
+  };
+};
+
+const recordAuthFailure = (reason) => {
+  authFailures.inc({ reason });
+};
+
+// type is 'rate_limit' or 'participant_limit'
+const recordSignalingViolation = (event, type) => {
+  signalingViolations.inc({ event, type });
+};
+
+// Render every metric in the Prometheus text exposition format
+const getMetrics = async () => {
+  await collectWorkerUsage();
+  return registry.metrics();
+};
+
+module.exports = {
+  observeSignalingEvent,
+  recordAuthFailure,
+  recordSignalingViolation,
+  getMetrics,
+  contentType: registry.contentType,
+  registry
+};
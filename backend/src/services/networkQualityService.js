@@ -0,0 +1,136 @@
+const { EventEmitter } = require('events');
+const roomService = require('./roomService');
+
+// How often participant stats are collected
+const collectInterval = parseInt(process.env.NETWORK_QUALITY_INTERVAL_MS) || 5000;
+
+// Thresholds that cost a quality point each (score 5 = excellent ... 1 = bad)
+const lossThresholds = [0.02, 0.05, 0.1]; // fraction of packets lost
+const rttThresholds = [200, 400]; // milliseconds
+const minVideoBitrate = 100000; // bits per second
+
+const levels = { 5: 'excellent', 4: 'good', 3: 'fair', 2: 'poor', 1: 'bad' };
+
+// Score one direction of a participant's media from mediasoup RTP stream stats
+// (fractionLost is 0-255, roundTripTime in ms, bitrate in bps); null without media
+const scoreStreams = (streams) => {
+  if (streams.length === 0) return null;
+
+  const packetLoss = Math.max(...streams.map(s => (s.fractionLost || 0) / 256));
+  const rtts = streams.map(s => s.roundTripTime).filter(rtt => typeof rtt === 'number' && rtt > 0);
+  const rtt = rtts.length > 0 ? rtts.reduce((sum, value) => sum + value, 0) / rtts.length : null;
+  const bitrate = streams.reduce((sum, s) => sum + (s.bitrate || 0), 0);
+  const lowVideo = streams.some(s => s.kind === 'video' && (s.bitrate || 0) < minVideoBitrate);
+
+  let score = 5;
+  score -= lossThresholds.filter(threshold => packetLoss > threshold).length;
+  score -= rtt === null ? 0 : rttThresholds.filter(threshold => rtt > threshold).length;
+  score -= lowVideo ? 1 : 0;
+  score = Math.max(1, score);
+
+  return {
+    score,
+    packetLoss: Math.round(packetLoss * 1000) / 1000,
+    rtt: rtt === null ? null : Math.round(rtt),
+    bitrate
+  };
+};
+
+// Overall quality is the worse of both directions
+const summarize = (upstream, downstream) => {
+  const scores = [upstream, downstream].filter(Boolean).map(direction => direction.score);
+  const score = scores.length > 0 ? Math.min(...scores) : null;
+  return { score, level: score === null ? 'unknown' : levels[score] };
+};
+
+// Periodically collects getStats() of each local participant's transports, producers and consumers.
+// Upstream is what the participant sends us (producer inbound streams), downstream what we send them
+// (consumer outbound streams), so a bad score points at the participant's network or ours.
+// Stores the latest report on participant.networkQuality and emits 'report' (roomId, [participant report]).
+class NetworkQualityService extends EventEmitter {
+  constructor() {
+    super();
+    this.timer = null;
+    this.collecting = false; // a collection is in progress
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.collectAll().catch(error => console.error('Error collecting network quality:', error));
+    }, collectInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Collect every room on this instance; skipped while the previous collection is still running
+  async collectAll() {
+    if (this.collecting) return;
+    this.collecting = true;
+    try {
+      for (const roomId of roomService.getAllRooms()) {
+        const reports = [];
+        for (const participant of roomService.getRoomParticipants(roomId)) {
+          if (participant.disconnectedAt) continue;
+          reports.push(await this.collectParticipant(participant));
+        }
+        if (reports.length > 0) {
+          this.emit('report', roomId, reports);
+        }
+      }
+    } finally {
+      this.collecting = false;
+    }
+  }
+
+  // Build one participant's report from their mediasoup objects, reading all their stats at once
+  async collectParticipant(participant) {
+    // Stats of every item; items closed between listing and reading yield none
+    const readStats = async (items) => {
+      const stats = await Promise.all(Array.from(items, item => item.getStats().catch(() => [])));
+      return stats.flat();
+    };
+
+    const [producerStats, consumerStats, transportStats] = await Promise.all([
+      readStats(participant.producers.values()),
+      readStats(participant.consumers.values()),
+      readStats(participant.transports.values())
+    ]);
+
+    const upstream = scoreStreams(producerStats.filter(stat => stat.type === 'inbound-rtp'));
+    const downstream = scoreStreams(consumerStats.filter(stat => stat.type === 'outbound-rtp'));
+
+    // Transport totals (bps) as seen by the SFU
+    let recvBitrate = 0;
+    let sendBitrate = 0;
+    for (const stat of transportStats) {
+      recvBitrate += stat.recvBitrate || 0;
+      sendBitrate += stat.sendBitrate || 0;
+    }
+
+    const report = {
+      userId: participant.userId,
+      name: participant.name,
+      role: participant.role,
+      ...summarize(upstream, downstream),
+      upstream,
+      downstream,
+      transport: { recvBitrate, sendBitrate },
+      timestamp: new Date().toISOString()
+    };
+
+    participant.networkQuality = report;
+    return report;
+  }
+}
+
+// Singleton instance
+const networkQualityService = new NetworkQualityService();
+
+module.exports = networkQualityService;
+module.exports.scoreStreams = scoreStreams;
+module.exports.summarize = summarize;
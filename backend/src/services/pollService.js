@@ -0,0 +1,281 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { getFirestore } = require('../config/firebase');
+
+// Poll limits
+const maxOptions = 10;
+const maxQuestionLength = 500;
+const maxOptionLength = 200;
+const maxDurationSeconds = 3600;
+
+// In-class polls and timed multiple-choice quizzes.
+// One poll runs per room at a time; answers are persisted as they arrive under rooms/{roomId}/polls/{pollId}
+// (tagged with the room session). Emits 'pollEnded' (roomId, poll) when a poll closes, including by timeout.
+class PollService extends EventEmitter {
+  constructor() {
+    super();
+    this.activePolls = new Map(); // roomId -> poll
+    this.closedPolls = new Map(); // roomId -> last closed poll, whose results can still be revealed
+  }
+
+  getPolls(roomId) {
+    return getFirestore().collection('rooms').doc(roomId).collection('polls');
+  }
+
+  // Validate a poll definition; returns { definition } or { error }
+  validate({ type = 'poll', question, options, correctOption, durationSeconds } = {}) {
+    if (type !== 'poll' && type !== 'quiz') {
+      return { error: 'Type must be poll or quiz' };
+    }
+    if (typeof question !== 'string' || question.trim().length === 0 || question.length > maxQuestionLength) {
+      return { error: 'Question is required' };
+    }
+    if (!Array.isArray(options) || options.length < 2 || options.length > maxOptions ||
+        !options.every(option => typeof option === 'string' && option.trim().length > 0 && option.length <= maxOptionLength)) {
+      return { error: `Between 2 and ${maxOptions} non-empty options are required` };
+    }
+    if (type === 'quiz' && !(Number.isInteger(correctOption) && correctOption >= 0 && correctOption < options.length)) {
+      return { error: 'A quiz needs the index of its correct option' };
+    }
+    if (durationSeconds !== undefined &&
+        !(Number.isInteger(durationSeconds) && durationSeconds > 0 && durationSeconds <= maxDurationSeconds)) {
+      return { error: `Duration must be between 1 and ${maxDurationSeconds} seconds` };
+    }
+    if (type === 'quiz' && durationSeconds === undefined) {
+      return { error: 'A quiz needs a duration' };
+    }
+
+    return {
+      definition: {
+        type,
+        question: question.trim(),
+        options: options.map(option => option.trim()),
+        correctOption: type === 'quiz' ? correctOption : null,
+        durationSeconds: durationSeconds || null
+      }
+    };
+  }
+
+  getActivePoll(roomId) {
+    return this.activePolls.get(roomId) || null;
+  }
+
+  // The running poll, or the last closed one
+  findPoll(roomId, pollId) {
+    const poll = this.activePolls.get(roomId) || this.closedPolls.get(roomId);
+    return poll && poll.id === pollId ? poll : null;
+  }
+
+  // Start a poll in a room; teacherIds: teachers in the room, who (with any teacher joining while it runs)
+  // may download its results
+  async start(roomId, sessionId, definition, createdBy, teacherIds = []) {
+    if (this.activePolls.has(roomId)) {
+      throw new Error('A poll is already running in this room');
+    }
+
+    const startedAt = new Date();
+    const poll = {
+      id: uuidv4(),
+      roomId,
+      sessionId,
+      ...definition,
+      createdBy,
+      teacherIds: new Set([createdBy.userId, ...teacherIds]),
+      startedAt,
+      endsAt: definition.durationSeconds ? new Date(startedAt.getTime() + definition.durationSeconds * 1000) : null,
+      endedAt: null,
+      revealed: false,
+      answers: new Map(), // userId -> { userId, name, option, answeredAt }
+      timer: null,
+      writes: Promise.resolve() // Firestore writes of this poll, in order
+    };
+    this.activePolls.set(roomId, poll);
+
+    if (poll.endsAt) {
+      poll.timer = setTimeout(() => {
+        this.end(roomId).catch(error => console.error('Error ending timed poll:', error));
+      }, definition.durationSeconds * 1000);
+    }
+
+    this.persist(poll, () => this.getPolls(roomId).doc(poll.id).set({
+      ...this.getRecordFields(poll),
+      status: 'open',
+      answers: {}
+    }));
+
+    return poll;
+  }
+
+  // Give a teacher who joined while a poll runs access to its results
+  addTeacher(roomId, userId) {
+    const poll = this.activePolls.get(roomId);
+    if (!poll || poll.teacherIds.has(userId)) return;
+
+    poll.teacherIds.add(userId);
+    this.persist(poll, () => this.getPolls(roomId).doc(poll.id).update({
+      teacherIds: Array.from(poll.teacherIds)
+    }));
+  }
+
+  // Record a student's answer; returns { poll } or { error }
+  answer(roomId, pollId, user, option) {
+    const poll = this.activePolls.get(roomId);
+    if (!poll || poll.id !== pollId) {
+      return { error: 'Poll is not open' };
+    }
+    if (!(Number.isInteger(option) && option >= 0 && option < poll.options.length)) {
+      return { error: 'Invalid option' };
+    }
+    if (poll.answers.has(user.userId)) {
+      return { error: 'You have already answered' };
+    }
+
+    const answer = { userId: user.userId, name: user.name, option, answeredAt: new Date() };
+    poll.answers.set(user.userId, answer);
+
+    this.persist(poll, () => this.getPolls(roomId).doc(poll.id).update({
+      [`answers.${user.userId}`]: answer
+    }));
+
+    return { poll };
+  }
+
+  // Close the room's poll; returns the closed poll or null
+  async end(roomId) {
+    const poll = this.activePolls.get(roomId);
+    if (!poll) return null;
+
+    clearTimeout(poll.timer);
+    poll.timer = null;
+    poll.endedAt = new Date();
+    this.activePolls.delete(roomId);
+    this.closedPolls.set(roomId, poll);
+
+    this.persist(poll, () => this.getPolls(roomId).doc(poll.id).update({
+      status: 'closed',
+      endedAt: poll.endedAt,
+      results: this.getResults(poll)
+    }));
+
+    this.emit('pollEnded', roomId, poll);
+    return poll;
+  }
+
+  // Forget a room that was removed: close its running poll and drop its last results
+  discardRoom(roomId) {
+    this.end(roomId).catch(error => console.error('Error ending poll:', error));
+    this.closedPolls.delete(roomId);
+  }
+
+  // Mark results as visible to students
+  reveal(poll) {
+    poll.revealed = true;
+    this.persist(poll, () => this.getPolls(poll.roomId).doc(poll.id).update({ revealed: true }));
+  }
+
+  // Aggregated answer counts
+  getResults(poll) {
+    const counts = poll.options.map(() => 0);
+    for (const { option } of poll.answers.values()) {
+      counts[option]++;
+    }
+
+    const results = { counts, totalAnswers: poll.answers.size };
+    if (poll.type === 'quiz') {
+      results.correctOption = poll.correctOption;
+      results.correctAnswers = counts[poll.correctOption];
+    }
+    return results;
+  }
+
+  // What students see: the question, never the answer key or other students' answers
+  getPublicView(poll) {
+    return {
+      id: poll.id,
+      type: poll.type,
+      question: poll.question,
+      options: poll.options,
+      startedAt: poll.startedAt,
+      endsAt: poll.endsAt,
+      endedAt: poll.endedAt
+    };
+  }
+
+  // Fields stored in Firestore
+  getRecordFields(poll) {
+    return {
+      id: poll.id,
+      roomId: poll.roomId,
+      sessionId: poll.sessionId,
+      type: poll.type,
+      question: poll.question,
+      options: poll.options,
+      correctOption: poll.correctOption,
+      durationSeconds: poll.durationSeconds,
+      createdBy: poll.createdBy,
+      teacherIds: Array.from(poll.teacherIds),
+      startedAt: poll.startedAt,
+      endsAt: poll.endsAt,
+      revealed: poll.revealed
+    };
+  }
+
+  // Teachers who were in the room while the poll ran (older records only know who started it)
+  canAccess(poll, userId) {
+    const teacherIds = poll.teacherIds || [poll.createdBy && poll.createdBy.userId];
+    return teacherIds.includes(userId);
+  }
+
+  // Persisted polls of a room the teacher may access, newest first (optionally for one room session)
+  async listPolls(roomId, sessionId, userId) {
+    const snapshot = await this.getPolls(roomId).get();
+    const toDate = (value) => (value && value.toDate ? value.toDate() : new Date(value));
+
+    return snapshot.docs
+      .map(doc => doc.data())
+      .filter(poll => this.canAccess(poll, userId))
+      .filter(poll => !sessionId || poll.sessionId === sessionId)
+      .sort((a, b) => toDate(b.startedAt) - toDate(a.startedAt));
+  }
+
+  // Flatten persisted polls into CSV, one row per answer
+  toCSV(polls) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const toIso = (value) => (value && value.toDate ? value.toDate() : new Date(value)).toISOString();
+
+    const rows = [['sessionId', 'pollId', 'type', 'question', 'userId', 'name', 'option', 'answer', 'correct', 'answeredAt']];
+    for (const poll of polls) {
+      for (const answer of Object.values(poll.answers || {})) {
+        rows.push([
+          poll.sessionId,
+          poll.id,
+          poll.type,
+          poll.question,
+          answer.userId,
+          answer.name,
+          answer.option,
+          poll.options[answer.option],
+          poll.type === 'quiz' ? answer.option === poll.correctOption : '',
+          toIso(answer.answeredAt)
+        ]);
+      }
+    }
+
+    return `${rows.map(row => row.map(escape).join(',')).join('\n')}\n`;
+  }
+
+  // Queue a Firestore write behind the poll's earlier writes without blocking the live poll
+  persist(poll, operation) {
+    poll.writes = poll.writes
+      .then(operation)
+      .catch(error => console.error('Error saving poll:', error));
+  }
+}
+
+// Singleton instance
+const pollService = new PollService();
+
+module.exports = pollService;
@@ -0,0 +1,122 @@
+const { spawn } = require('child_process');
+
+// Local recorder processes fed with RTP from a mediasoup PlainTransport.
+// Each recorder gets an SDP file describing one stream and writes one output file.
+
+// Build the SDP describing RTP streams sent to 127.0.0.1 (RTCP on port + 1);
+// streams: [{ kind, rtpParameters, port }]
+const createSessionSdp = ({ streams, ip = '127.0.0.1' }) => {
+  const lines = [
+    'v=0',
+    `o=- 0 0 IN IP4 ${ip}`,
+    's=mediasoup recording',
+    `c=IN IP4 ${ip}`,
+    't=0 0'
+  ];
+
+  for (const { kind, rtpParameters, port } of streams) {
+    const codec = rtpParameters.codecs[0];
+    const codecName = codec.mimeType.split('/')[1];
+    const rtpmap = codec.channels > 1
+      ? `${codecName}/${codec.clockRate}/${codec.channels}`
+      : `${codecName}/${codec.clockRate}`;
+
+    lines.push(
+      `m=${kind} ${port} RTP/AVP ${codec.payloadType}`,
+      `a=rtpmap:${codec.payloadType} ${rtpmap}`
+    );
+
+    const fmtp = Object.entries(codec.parameters || {})
+      .map(([key, value]) => `${key}=${value}`)
+      .join(';');
+    if (fmtp) {
+      lines.push(`a=fmtp:${codec.payloadType} ${fmtp}`);
+    }
+
+    lines.push('a=recvonly');
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+// Build the SDP describing a single RTP stream
+const createSdp = ({ kind, rtpParameters, ip, port }) =>
+  createSessionSdp({ ip, streams: [{ kind, rtpParameters, port }] });
+
+// GStreamer depayloaders per codec
+const gstDepayloaders = {
+  opus: 'rtpopusdepay',
+  vp8: 'rtpvp8depay',
+  vp9: 'rtpvp9depay',
+  h264: 'rtph264depay ! h264parse'
+};
+
+// Recorder implementations: each builds the command line for one stream
+const recorders = {
+  ffmpeg: {
+    command: process.env.RECORDER_PATH || 'ffmpeg',
+    args: ({ sdpPath, outputPath }) => [
+      '-loglevel', 'warning',
+      '-protocol_whitelist', 'file,rtp,udp',
+      '-fflags', '+genpts',
+      '-i', sdpPath,
+      '-map', '0',
+      '-c', 'copy',
+      '-y', outputPath
+    ],
+    // ffmpeg finalizes the container on SIGINT
+    stopSignal: 'SIGINT'
+  },
+  gstreamer: {
+    command: process.env.RECORDER_PATH || 'gst-launch-1.0',
+    args: ({ sdpPath, outputPath, codecName }) => {
+      const depay = gstDepayloaders[codecName.toLowerCase()];
+      if (!depay) {
+        throw new Error(`GStreamer recorder does not support codec ${codecName}`);
+      }
+      return [
+        '-e',
+        ...`filesrc location=${sdpPath} ! sdpdemux timeout=0 ! queue ! ${depay} ! matroskamux ! filesink location=${outputPath}`.split(' ')
+      ];
+    },
+    // -e turns SIGINT into an end-of-stream so the file is finalized
+    stopSignal: 'SIGINT'
+  }
+};
+
+// Start a recorder process; returns { process, stop() }
+const startRecorder = ({ sdpPath, outputPath, rtpParameters }, name = process.env.RECORDER || 'ffmpeg') => {
+  const recorder = recorders[name];
+  if (!recorder) {
+    throw new Error(`Unknown recorder: ${name}`);
+  }
+
+  const codecName = rtpParameters.codecs[0].mimeType.split('/')[1];
+  const child = spawn(recorder.command, recorder.args({ sdpPath, outputPath, codecName }), {
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+
+  child.stderr.on('data', (data) => {
+    console.log(`[recorder ${child.pid}] ${data.toString().trim()}`);
+  });
+
+  child.on('error', (error) => {
+    console.error(`Recorder ${name} failed to start:`, error.message);
+  });
+
+  return {
+    process: child,
+    stop: () => {
+      if (child.exitCode === null && !child.killed) {
+        child.kill(recorder.stopSignal);
+      }
+    }
+  };
+};
+
+module.exports = {
+  createSdp,
+  createSessionSdp,
+  startRecorder,
+  recorders
+};
@@ -0,0 +1,317 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getRouter, pipeProducerToRouter } = require('../config/mediasoup');
+const { createSdp, startRecorder } = require('./recorders');
+const { roomDirectoryName, isInside, resolveRoomDirectory } = require('./roomPaths');
+
+// Recording configuration
+const recordingsDir = path.resolve(process.env.RECORDINGS_DIR || './recordings');
+const recorderIp = '127.0.0.1';
+const minPort = parseInt(process.env.RECORDING_MIN_PORT) || 50000;
+const maxPort = parseInt(process.env.RECORDING_MAX_PORT) || 50999;
+const recorderStartDelayMs = 1000; // let the recorder bind its port before media flows
+
+// Server-side session recording.
+// Every producer of the room is consumed through its own PlainTransport on the room's primary router
+// and written to its own file by a local recorder process (see ./recorders).
+class RecordingService {
+  constructor() {
+    this.sessions = new Map(); // roomId -> active recording session
+    this.startingRoomIds = new Set(); // rooms whose recording is being set up
+    this.usedPorts = new Set(); // RTP ports handed to recorders (RTCP uses port + 1)
+  }
+
+  // Reserve an even RTP port (and the RTCP port after it)
+  allocatePort() {
+    for (let port = minPort; port + 1 <= maxPort; port += 2) {
+      if (!this.usedPorts.has(port)) {
+        this.usedPorts.add(port);
+        return port;
+      }
+    }
+    throw new Error('No free recording ports');
+  }
+
+  releasePort(port) {
+    this.usedPorts.delete(port);
+  }
+
+  isRecording(roomId) {
+    return this.sessions.has(roomId);
+  }
+
+  // Get recording status for a room
+  getStatus(roomId) {
+    const session = this.sessions.get(roomId);
+    if (!session) {
+      return { recording: false };
+    }
+
+    return {
+      recording: true,
+      sessionId: session.id,
+      startedAt: session.startedAt,
+      startedBy: session.startedBy
+    };
+  }
+
+  // Start recording a room; producers: [{ producerId, userId, userName, kind, routerId }],
+  // teacherIds: teachers in the room, who (with any teacher joining later) may access the recording
+  async start(roomId, { startedBy, producers = [], teacherIds = [] }) {
+    if (this.sessions.has(roomId) || this.startingRoomIds.has(roomId)) {
+      throw new Error('Recording already in progress');
+    }
+
+    const router = getRouter(roomId);
+    if (!router) {
+      throw new Error(`No router for room ${roomId}`);
+    }
+
+    const id = uuidv4();
+    const session = {
+      id,
+      roomId,
+      startedBy,
+      startedAt: new Date(),
+      directory: resolveRoomDirectory(recordingsDir, roomId, id),
+      teacherIds: new Set([startedBy.userId, ...teacherIds]),
+      tracks: new Map() // producerId -> track
+    };
+
+    // Claim the room before the first await so a concurrent start is refused
+    this.startingRoomIds.add(roomId);
+    try {
+      await fs.promises.mkdir(session.directory, { recursive: true });
+    } finally {
+      this.startingRoomIds.delete(roomId);
+    }
+    this.sessions.set(roomId, session);
+
+    // The recording ends with the room
+    router.observer.once('close', () => {
+      this.stop(roomId).catch(error => console.error('Error stopping recording:', error));
+    });
+
+    for (const producer of producers) {
+      try {
+        await this.addProducer(roomId, producer);
+      } catch (error) {
+        console.error(`Error recording producer ${producer.producerId}:`, error);
+      }
+    }
+
+    console.log(`Recording ${id} started in room ${roomId}`);
+    return this.getStatus(roomId);
+  }
+
+  // Give a teacher who joined mid-recording access to it
+  addTeacher(roomId, userId) {
+    const session = this.sessions.get(roomId);
+    if (session) {
+      session.teacherIds.add(userId);
+    }
+  }
+
+  // Record one more producer of a room that is being recorded
+  async addProducer(roomId, { producerId, userId, userName, kind, routerId }) {
+    const session = this.sessions.get(roomId);
+    if (!session || session.tracks.has(producerId)) return;
+
+    const router = getRouter(roomId);
+    await pipeProducerToRouter(roomId, producerId, routerId, router.id);
+
+    const port = this.allocatePort();
+    let transport;
+    try {
+      transport = await router.createPlainTransport({
+        listenIp: recorderIp,
+        rtcpMux: false,
+        comedia: false
+      });
+      await transport.connect({ ip: recorderIp, port, rtcpPort: port + 1 });
+
+      const consumer = await transport.consume({
+        producerId,
+        rtpCapabilities: router.rtpCapabilities,
+        paused: true
+      });
+
+      const baseName = `${userId}-${kind}-${producerId}`;
+      const sdpPath = path.join(session.directory, `${baseName}.sdp`);
+      const outputPath = path.join(session.directory, `${baseName}.mkv`);
+
+      await fs.promises.writeFile(sdpPath, createSdp({
+        kind,
+        rtpParameters: consumer.rtpParameters,
+        ip: recorderIp,
+        port
+      }));
+
+      const recorder = startRecorder({ sdpPath, outputPath, rtpParameters: consumer.rtpParameters });
+
+      session.tracks.set(producerId, {
+        producerId,
+        userId,
+        userName,
+        kind,
+        file: `${baseName}.mkv`,
+        port,
+        transport,
+        consumer,
+        recorder,
+        startedAt: new Date(),
+        stoppedAt: null
+      });
+
+      consumer.on('producerclose', () => this.stopTrack(session, producerId));
+      consumer.on('transportclose', () => this.stopTrack(session, producerId));
+
+      setTimeout(async () => {
+        try {
+          await consumer.resume();
+          if (kind === 'video') {
+            await consumer.requestKeyFrame();
+          }
+        } catch (error) {
+          console.error('Error resuming recording consumer:', error);
+        }
+      }, recorderStartDelayMs);
+
+    } catch (error) {
+      if (transport) transport.close();
+      this.releasePort(port);
+      throw error;
+    }
+  }
+
+  // Stop recording a single track
+  stopTrack(session, producerId) {
+    const track = session.tracks.get(producerId);
+    if (!track || track.stoppedAt) return;
+
+    track.stoppedAt = new Date();
+    track.consumer.close();
+    track.transport.close();
+    track.recorder.stop();
+    this.releasePort(track.port);
+  }
+
+  // Stop recording a room and write the session manifest
+  async stop(roomId) {
+    const session = this.sessions.get(roomId);
+    if (!session) return null;
+
+    this.sessions.delete(roomId);
+    for (const producerId of session.tracks.keys()) {
+      this.stopTrack(session, producerId);
+    }
+
+    const manifest = {
+      id: session.id,
+      roomId,
+      startedBy: session.startedBy,
+      teacherIds: Array.from(session.teacherIds),
+      startedAt: session.startedAt,
+      stoppedAt: new Date(),
+      files: Array.from(session.tracks.values()).map(track => ({
+        file: track.file,
+        userId: track.userId,
+        userName: track.userName,
+        kind: track.kind,
+        startedAt: track.startedAt,
+        stoppedAt: track.stoppedAt
+      }))
+    };
+
+    await fs.promises.writeFile(
+      path.join(session.directory, 'session.json'),
+      JSON.stringify(manifest, null, 2)
+    );
+
+    console.log(`Recording ${session.id} stopped in room ${roomId}`);
+    return manifest;
+  }
+
+  // Teachers who were in the room during the recording (older manifests only know who started it)
+  canAccess(manifest, userId) {
+    const teacherIds = manifest.teacherIds || [manifest.startedBy && manifest.startedBy.userId];
+    return teacherIds.includes(userId);
+  }
+
+  // Read a finished recording's manifest from its directory, or null
+  async readManifest(directory) {
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(directory, 'session.json'), 'utf8'));
+    } catch (error) {
+      return null; // recording still in progress or incomplete
+    }
+  }
+
+  // List the finished recordings a teacher may access, optionally for one room
+  async listRecordings(roomId, userId) {
+    let directories;
+    try {
+      directories = roomId !== undefined ? [roomDirectoryName(roomId)] : await fs.promises.readdir(recordingsDir);
+    } catch (error) {
+      return [];
+    }
+
+    const recordings = [];
+    for (const directory of directories) {
+      let sessionIds;
+      try {
+        sessionIds = await fs.promises.readdir(path.join(recordingsDir, directory));
+      } catch (error) {
+        continue;
+      }
+
+      for (const sessionId of sessionIds) {
+        const manifest = await this.readManifest(path.join(recordingsDir, directory, sessionId));
+        if (manifest && this.canAccess(manifest, userId)) {
+          recordings.push(manifest);
+        }
+      }
+    }
+
+    return recordings.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+  }
+
+  // Path segments from requests must not escape the recordings directory
+  isSafeSegment(segment) {
+    return typeof segment === 'string' &&
+      segment.length > 0 &&
+      segment === path.basename(segment) &&
+      segment !== '.' &&
+      segment !== '..';
+  }
+
+  // Resolve a finished recording file the teacher may access, or null
+  async resolveFile(roomId, sessionId, fileName, userId) {
+    if (![sessionId, fileName].every(segment => this.isSafeSegment(segment))) {
+      return null;
+    }
+
+    const directory = resolveRoomDirectory(recordingsDir, roomId, sessionId);
+    const manifest = await this.readManifest(directory);
+    if (!manifest || !this.canAccess(manifest, userId)) {
+      return null;
+    }
+
+    const filePath = path.join(directory, fileName);
+    if (!isInside(directory, filePath)) {
+      return null;
+    }
+    try {
+      const stat = await fs.promises.stat(filePath);
+      return stat.isFile() ? filePath : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Singleton instance
+const recordingService = new RecordingService();
+
+module.exports = recordingService;
@@ -0,0 +1,16 @@
+// Room IDs clients may create, and the breakout room IDs derived from them.
+// Colons are reserved for breakout rooms so nobody can claim one ahead of time.
+const roomIdPattern = /^[A-Za-z0-9_-]{1,128}$/;
+const breakoutRoomIdPattern = /^[A-Za-z0-9_-]{1,128}:breakout:[1-9][0-9]{0,3}$/;
+
+// Rooms a client may refer to when joining or moving: main rooms and breakout rooms
+const anyRoomIdPattern = /^[A-Za-z0-9_-]{1,128}(:breakout:[1-9][0-9]{0,3})?$/;
+
+const getBreakoutRoomId = (parentRoomId, number) => `${parentRoomId}:breakout:${number}`;
+
+module.exports = {
+  roomIdPattern,
+  breakoutRoomIdPattern,
+  anyRoomIdPattern,
+  getBreakoutRoomId
+};
@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// Room IDs come from clients, so files are stored under a hash of the ID rather than the ID itself
+const roomDirectoryName = (roomId) => crypto.createHash('sha256').update(String(roomId)).digest('hex').slice(0, 32);
+
+// Whether target lies strictly inside baseDir
+const isInside = (baseDir, target) => {
+  const relative = path.relative(path.resolve(baseDir), path.resolve(target));
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+// Directory of a room (and optional sub-path) under baseDir; throws if it would escape baseDir
+const resolveRoomDirectory = (baseDir, roomId, ...segments) => {
+  const directory = path.resolve(baseDir, roomDirectoryName(roomId), ...segments);
+  if (!isInside(baseDir, directory)) {
+    throw new Error(`Refusing path outside ${baseDir}`);
+  }
+  return directory;
+};
+
+module.exports = {
+  roomDirectoryName,
+  isInside,
+  resolveRoomDirectory
+};
@@ -1,25 +1,138 @@
-const { getRouter } = require('../config/mediasoup');
+const { EventEmitter } = require('events');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { assignRouter, releaseRouter, closeRouter, setTransportBitrates } = require('../config/mediasoup');
+const bandwidthPolicy = require('./bandwidthPolicy');
+const pollService = require('./pollService');
+const { getBreakoutRoomId } = require('./roomIds');
+const MemoryRoomStore = require('./stores/memoryStore');
+const Whiteboard = require('./whiteboard');
 
-class RoomService {
-  constructor() {
-    // In-memory storage for room state
-    // For production, consider using Redis for distributed systems
+// Identifies this backend instance in the shared store
+const nodeId = process.env.NODE_ID || `${os.hostname()}:${process.pid}`;
+
+// Instances that miss their heartbeats this long are considered dead and their entries are purged
+const nodeTtlMs = parseInt(process.env.ROOM_STORE_NODE_TTL_MS) || 30000;
+
+// Caps on each participant's open mediasoup objects, so one client cannot exhaust ports or CPU
+const participantLimits = {
+  transports: parseInt(process.env.PARTICIPANT_MAX_TRANSPORTS) || 4,
+  producers: parseInt(process.env.PARTICIPANT_MAX_PRODUCERS) || 4,
+  consumers: parseInt(process.env.PARTICIPANT_MAX_CONSUMERS) || 200,
+  dataProducers: parseInt(process.env.PARTICIPANT_MAX_DATA_PRODUCERS) || 8,
+  dataConsumers: parseInt(process.env.PARTICIPANT_MAX_DATA_CONSUMERS) || 200
+};
+
+const participantLimitLabels = {
+  transports: 'transports',
+  producers: 'producers',
+  consumers: 'consumers',
+  dataProducers: 'data producers',
+  dataConsumers: 'data consumers'
+};
+
+// Emits 'roomReleased' (roomId) once a room's local state is gone
+class RoomService extends EventEmitter {
+  constructor(store = new MemoryRoomStore()) {
+    super();
+
+    // Local state: live mediasoup objects can only live in this process
     this.rooms = new Map(); // roomId -> Room
     this.users = new Map(); // userId -> User
+    this.resumeTokens = new Map(); // resumeToken -> { roomId, userId }
+
+    // Shared state: room membership and producer listings, visible to every instance
+    this.store = store;
+    this.storeQueues = new Map(); // roomId -> last queued store write of the room
+    this.heartbeatTimer = null;
+  }
+
+  // Swap the shared state store (e.g. Redis when running several instances)
+  setStore(store) {
+    this.store = store;
+  }
+
+  // Write a room's shared state to the store without blocking signaling.
+  // Writes of one room run one after another, in the order they were made.
+  persist(roomId, operation) {
+    const previous = this.storeQueues.get(roomId) || Promise.resolve();
+    const queued = previous
+      .then(operation)
+      .catch(error => console.error('Room store error:', error));
+
+    this.storeQueues.set(roomId, queued);
+    queued.then(() => {
+      if (this.storeQueues.get(roomId) === queued) {
+        this.storeQueues.delete(roomId);
+      }
+    });
+  }
+
+  // Keep this instance alive in the store and purge the participants and producers of dead instances
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+
+    const beat = () => this.store.touchNode(nodeId, Date.now() + nodeTtlMs)
+      .then(() => this.store.removeExpiredNodes(Date.now()))
+      .then(expired => expired.forEach(id => console.log(`Purged room state of unresponsive instance: ${id}`)))
+      .catch(error => console.error('Room store error:', error));
+
+    beat();
+    this.heartbeatTimer = setInterval(beat, nodeTtlMs / 3);
+    this.heartbeatTimer.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  // Publish a participant's shareable fields to the store
+  persistParticipant(roomId, participant) {
+    this.persist(roomId, () => this.store.addParticipant(roomId, {
+      userId: participant.userId,
+      socketId: participant.socketId,
+      name: participant.name,
+      role: participant.role,
+      joinedAt: participant.joinedAt.toISOString(),
+      nodeId
+    }));
   }
 
   // Create or get room
   createRoom(roomId) {
     if (!this.rooms.has(roomId)) {
-      this.rooms.set(roomId, {
+      const room = {
         id: roomId,
+        sessionId: uuidv4(), // identifies this run of the room in persisted data (e.g. poll results)
         participants: new Map(), // userId -> participant data
+        status: 'active', // 'active' | 'failed' (media worker died, router being rebuilt)
+        locked: false, // locked rooms only accept teachers
+        bannedUsers: new Set(), // userIds removed by a teacher and not allowed back
+        lobbyEnabled: false, // hold joining students until a teacher admits them
+        lobby: new Map(), // userId -> { userId, name, role, socketId, requestedAt }
+        handQueue: [], // raised hands in order: { userId, name, raisedAt }
+        speakRequiresGrant: false, // students may only produce audio once a teacher grants them a turn
+        chatMutedUsers: new Set(), // userIds a teacher has muted in chat
+        whiteboard: new Whiteboard(), // shared drawing board, lives as long as the room
+        teacherIds: new Set(), // teachers who have been in this run of the room (may export its whiteboard)
+        bandwidthPolicy: bandwidthPolicy.getDefaultPolicy(), // profile -> { maxIncomingBitrate, maxOutgoingBitrate }
+        parentRoomId: null, // set on breakout rooms: the main room they belong to
+        name: null, // display name of a breakout room
+        breakoutRoomIds: [], // breakout rooms of a main room, kept open while the session runs
         createdAt: new Date()
-      });
+      };
+      this.rooms.set(roomId, room);
+      this.persist(roomId, () => this.store.addRoom(roomId, { createdAt: room.createdAt }));
     }
     return this.rooms.get(roomId);
   }
 
+  // Check if room exists on any backend instance
+  async isRoomActive(roomId) {
+    return this.roomExists(roomId) || this.store.hasRoom(roomId);
+  }
+
   // Get room
   getRoom(roomId) {
     return this.rooms.get(roomId);
@@ -28,6 +141,12 @@ class RoomService {
   // Add user to room
   addUserToRoom(roomId, userId, socketId, userInfo) {
     const room = this.createRoom(roomId);
+
+    // Joining again (e.g. from a new tab, or without resuming) replaces the previous session
+    const previous = room.participants.get(userId);
+    if (previous) {
+      this.discardParticipant(roomId, previous);
+    }
     
     const participant = {
       userId,
@@ -35,13 +154,26 @@ class RoomService {
       name: userInfo.name,
       role: userInfo.role,
       joinedAt: new Date(),
+      routerId: null, // router of the room this participant's transports live on
       transports: new Map(), // transportId -> transport
       producers: new Map(), // producerId -> producer
       consumers: new Map(), // consumerId -> consumer
-      rtpCapabilities: null
+      dataProducers: new Map(), // dataProducerId -> dataProducer (SCTP)
+      dataConsumers: new Map(), // dataConsumerId -> dataConsumer (SCTP)
+      rtpCapabilities: null,
+      speakingGranted: false, // granted a speaking turn from the raise-hand queue
+      networkQuality: null, // latest report from the network quality service
+      resumeToken: null,
+      disconnectedAt: null, // set while the participant is in the reconnection grace period
+      disconnectTimer: null
     };
+    participant.resumeToken = this.issueResumeToken(roomId, userId);
 
     room.participants.set(userId, participant);
+    this.persistParticipant(roomId, participant);
+    if (participant.role === 'teacher') {
+      room.teacherIds.add(userId);
+    }
     
     // Also store user to socket mapping
     this.users.set(socketId, {
@@ -61,22 +193,120 @@ class RoomService {
     const room = this.getRoom(user.roomId);
     if (room) {
       const participant = room.participants.get(user.userId);
-      if (participant) {
-        // Close all transports, producers, and consumers
-        this.cleanupParticipant(participant);
-        room.participants.delete(user.userId);
+      // The participant may already belong to a newer socket of the same user
+      if (!participant || participant.socketId !== socketId) {
+        this.users.delete(socketId);
+        return null;
       }
 
-      // Remove empty rooms
-      if (room.participants.size === 0) {
-        this.rooms.delete(user.roomId);
+      this.discardParticipant(user.roomId, participant);
+      room.participants.delete(user.userId);
+      this.lowerHand(user.roomId, user.userId);
+
+      // Remove empty rooms and release their router (rooms of a running breakout session stay open)
+      if (room.participants.size === 0 && !this.isInBreakoutSession(room)) {
+        this.releaseRoom(user.roomId);
       }
     }
 
+    // The room is only gone from the shared store once no instance has participants left
+    this.persist(user.roomId, async () => {
+      await this.store.removeParticipant(user.roomId, user.userId);
+      await this.store.removeRoomIfEmpty(user.roomId);
+    });
+
     this.users.delete(socketId);
     return user;
   }
 
+  // Release everything a participant holds (media, router slot, timers, resume token)
+  discardParticipant(roomId, participant) {
+    clearTimeout(participant.disconnectTimer);
+    participant.disconnectTimer = null;
+
+    // Close all transports, producers, and consumers
+    this.cleanupParticipant(participant);
+    if (participant.routerId) {
+      releaseRouter(roomId, participant.routerId);
+      participant.routerId = null;
+    }
+
+    this.resumeTokens.delete(participant.resumeToken);
+    if (this.users.get(participant.socketId)?.userId === participant.userId) {
+      this.users.delete(participant.socketId);
+    }
+    this.persist(roomId, () => this.store.removeUserProducers(roomId, participant.userId));
+  }
+
+  // Create a token that lets a reconnecting socket take over the participant
+  issueResumeToken(roomId, userId) {
+    const resumeToken = uuidv4();
+    this.resumeTokens.set(resumeToken, { roomId, userId });
+    return resumeToken;
+  }
+
+  // Keep a disconnected participant for a grace period; onExpire(user) runs once they are removed
+  suspendUser(socketId, gracePeriodMs, onExpire) {
+    const user = this.users.get(socketId);
+    if (!user) return null;
+
+    const participant = this.getParticipant(user.roomId, user.userId);
+    if (!participant || participant.socketId !== socketId) return null;
+
+    participant.disconnectedAt = new Date();
+    participant.disconnectTimer = setTimeout(() => {
+      participant.disconnectTimer = null;
+      const removed = this.removeUserFromRoom(socketId);
+      if (removed) {
+        onExpire(removed);
+      }
+    }, gracePeriodMs);
+
+    return user;
+  }
+
+  // Rebind a participant to a new socket; returns null if the token is unknown or belongs to someone else
+  resumeUser(resumeToken, userId, socketId) {
+    const session = this.resumeTokens.get(resumeToken);
+    if (!session || session.userId !== userId) return null;
+
+    const participant = this.getParticipant(session.roomId, userId);
+    if (!participant || participant.resumeToken !== resumeToken) {
+      this.resumeTokens.delete(resumeToken);
+      return null;
+    }
+
+    clearTimeout(participant.disconnectTimer);
+    participant.disconnectTimer = null;
+    participant.disconnectedAt = null;
+
+    const user = this.users.get(participant.socketId);
+    this.users.delete(participant.socketId);
+    participant.socketId = socketId;
+    this.users.set(socketId, user);
+
+    // Tokens are single-use
+    this.resumeTokens.delete(resumeToken);
+    participant.resumeToken = this.issueResumeToken(session.roomId, userId);
+
+    this.persistParticipant(session.roomId, participant);
+
+    return { user, participant };
+  }
+
+  // Place participant on one of the room's routers (large rooms span several)
+  async assignRouter(roomId, userId) {
+    const participant = this.getParticipant(roomId, userId);
+    if (!participant) return null;
+
+    if (participant.routerId) {
+      releaseRouter(roomId, participant.routerId);
+    }
+    const router = await assignRouter(roomId);
+    participant.routerId = router.id;
+    return router;
+  }
+
   // Get user by socket ID
   getUserBySocketId(socketId) {
     return this.users.get(socketId);
@@ -102,6 +332,66 @@ class RoomService {
     }
   }
 
+  // Bandwidth limits for a new transport of a participant with the given role
+  getTransportLimits(roomId, role, options) {
+    const room = this.getRoom(roomId);
+    const policy = room ? room.bandwidthPolicy : bandwidthPolicy.getDefaultPolicy();
+    return bandwidthPolicy.getLimits(policy, role, options);
+  }
+
+  getBandwidthPolicy(roomId) {
+    const room = this.getRoom(roomId);
+    return room ? room.bandwidthPolicy : null;
+  }
+
+  // Change a room's bandwidth policy and re-cap the transports whose limits changed
+  async updateBandwidthPolicy(roomId, changes) {
+    const room = this.getRoom(roomId);
+    if (!room) return null;
+
+    const previousPolicy = room.bandwidthPolicy;
+    room.bandwidthPolicy = bandwidthPolicy.mergePolicy(previousPolicy, changes);
+
+    let updatedTransports = 0;
+    for (const participant of room.participants.values()) {
+      for (const transport of participant.transports.values()) {
+        if (transport.closed) continue;
+
+        const options = { screenShare: !!(transport.appData && transport.appData.screenShare) };
+        const before = bandwidthPolicy.getLimits(previousPolicy, participant.role, options);
+        const after = bandwidthPolicy.getLimits(room.bandwidthPolicy, participant.role, options);
+        const changed = {};
+        for (const [field, value] of Object.entries(after)) {
+          if (value !== before[field]) changed[field] = value;
+        }
+        if (Object.keys(changed).length === 0) continue;
+
+        try {
+          await setTransportBitrates(transport, changed);
+          updatedTransports++;
+        } catch (error) {
+          console.error(`Error updating bitrate of transport ${transport.id}:`, error);
+        }
+      }
+    }
+    return { policy: room.bandwidthPolicy, updatedTransports };
+  }
+
+  // Check whether a participant may open another transport, producer, consumer, data producer or data consumer
+  checkParticipantLimit(roomId, userId, type) {
+    const participant = this.getParticipant(roomId, userId);
+    if (!participant) {
+      return { allowed: false, reason: 'Participant not found' };
+    }
+
+    // Closed objects may linger until their close events are handled
+    const open = Array.from(participant[type].values()).filter(item => !item.closed).length;
+    if (open >= participantLimits[type]) {
+      return { allowed: false, reason: `You can have at most ${participantLimits[type]} ${participantLimitLabels[type]}` };
+    }
+    return { allowed: true };
+  }
+
   // Get transport
   getTransport(roomId, userId, transportId) {
     const participant = this.getParticipant(roomId, userId);
@@ -113,6 +403,15 @@ class RoomService {
     const participant = this.getParticipant(roomId, userId);
     if (participant) {
       participant.producers.set(producer.id, producer);
+      this.persist(roomId, () => this.store.addProducer(roomId, {
+        id: producer.id,
+        kind: producer.kind,
+        type: producer.type, // 'simple' | 'simulcast' | 'svc'
+        userId,
+        userName: participant.name,
+        userRole: participant.role,
+        nodeId
+      }));
     }
   }
 
@@ -122,6 +421,14 @@ class RoomService {
     return participant ? participant.producers.get(producerId) : null;
   }
 
+  // Remove producer from participant (after it was closed)
+  removeProducer(roomId, userId, producerId) {
+    const participant = this.getParticipant(roomId, userId);
+    if (participant && participant.producers.delete(producerId)) {
+      this.persist(roomId, () => this.store.removeProducer(roomId, producerId));
+    }
+  }
+
   // Get all producers in room (except for the requesting user)
   getRoomProducers(roomId, excludeUserId = null) {
     const room = this.getRoom(roomId);
@@ -134,6 +441,7 @@ class RoomService {
           producers.push({
             id: producer.id,
             kind: producer.kind,
+            type: producer.type,
             userId,
             userName: participant.name,
             userRole: participant.role
@@ -144,6 +452,28 @@ class RoomService {
     return producers;
   }
 
+  // Find the participant who owns a producer
+  findProducerOwner(roomId, producerId) {
+    const room = this.getRoom(roomId);
+    if (!room) return null;
+
+    for (const participant of room.participants.values()) {
+      if (participant.producers.has(producerId)) {
+        return participant;
+      }
+    }
+    return null;
+  }
+
+  // Get the room's producers this instance can serve (except for the requesting user).
+  // Media is not piped between instances, so producers of other instances are left out.
+  async listRoomProducers(roomId, excludeUserId = null) {
+    const producers = await this.store.getProducers(roomId);
+    return producers
+      .filter(producer => producer.nodeId === nodeId && producer.userId !== excludeUserId)
+      .map(({ nodeId: _nodeId, ...producer }) => producer);
+  }
+
   // Add consumer to participant
   addConsumer(roomId, userId, consumer) {
     const participant = this.getParticipant(roomId, userId);
@@ -158,6 +488,94 @@ class RoomService {
     return participant ? participant.consumers.get(consumerId) : null;
   }
 
+  // Remove consumer from participant (after it was closed)
+  removeConsumer(roomId, userId, consumerId) {
+    const participant = this.getParticipant(roomId, userId);
+    if (participant) {
+      participant.consumers.delete(consumerId);
+    }
+  }
+
+  // Add data producer to participant
+  addDataProducer(roomId, userId, dataProducer) {
+    const participant = this.getParticipant(roomId, userId);
+    if (participant) {
+      participant.dataProducers.set(dataProducer.id, dataProducer);
+    }
+  }
+
+  // Get data producer
+  getDataProducer(roomId, userId, dataProducerId) {
+    const participant = this.getParticipant(roomId, userId);
+    return participant ? participant.dataProducers.get(dataProducerId) : null;
+  }
+
+  // Remove data producer from participant (after it was closed)
+  removeDataProducer(roomId, userId, dataProducerId) {
+    const participant = this.getParticipant(roomId, userId);
+    if (participant) {
+      participant.dataProducers.delete(dataProducerId);
+    }
+  }
+
+  // Get all data producers in room (except for the requesting user)
+  getRoomDataProducers(roomId, excludeUserId = null) {
+    const room = this.getRoom(roomId);
+    if (!room) return [];
+
+    const dataProducers = [];
+    for (const [userId, participant] of room.participants) {
+      if (userId !== excludeUserId) {
+        for (const dataProducer of participant.dataProducers.values()) {
+          dataProducers.push({
+            id: dataProducer.id,
+            label: dataProducer.label,
+            protocol: dataProducer.protocol,
+            userId,
+            userName: participant.name,
+            userRole: participant.role
+          });
+        }
+      }
+    }
+    return dataProducers;
+  }
+
+  // Find the participant who owns a data producer
+  findDataProducerOwner(roomId, dataProducerId) {
+    const room = this.getRoom(roomId);
+    if (!room) return null;
+
+    for (const participant of room.participants.values()) {
+      if (participant.dataProducers.has(dataProducerId)) {
+        return participant;
+      }
+    }
+    return null;
+  }
+
+  // Add data consumer to participant
+  addDataConsumer(roomId, userId, dataConsumer) {
+    const participant = this.getParticipant(roomId, userId);
+    if (participant) {
+      participant.dataConsumers.set(dataConsumer.id, dataConsumer);
+    }
+  }
+
+  // Get data consumer
+  getDataConsumer(roomId, userId, dataConsumerId) {
+    const participant = this.getParticipant(roomId, userId);
+    return participant ? participant.dataConsumers.get(dataConsumerId) : null;
+  }
+
+  // Remove data consumer from participant (after it was closed)
+  removeDataConsumer(roomId, userId, dataConsumerId) {
+    const participant = this.getParticipant(roomId, userId);
+    if (participant) {
+      participant.dataConsumers.delete(dataConsumerId);
+    }
+  }
+
   // Set RTP capabilities for participant
   setRtpCapabilities(roomId, userId, rtpCapabilities) {
     const participant = this.getParticipant(roomId, userId);
@@ -178,6 +596,25 @@ class RoomService {
     }
     participant.consumers.clear();
 
+    // Close all data consumers and data producers
+    for (const dataConsumer of participant.dataConsumers.values()) {
+      try {
+        dataConsumer.close();
+      } catch (error) {
+        console.error('Error closing data consumer:', error);
+      }
+    }
+    participant.dataConsumers.clear();
+
+    for (const dataProducer of participant.dataProducers.values()) {
+      try {
+        dataProducer.close();
+      } catch (error) {
+        console.error('Error closing data producer:', error);
+      }
+    }
+    participant.dataProducers.clear();
+
     // Close all producers
     for (const producer of participant.producers.values()) {
       try {
@@ -199,6 +636,309 @@ class RoomService {
     participant.transports.clear();
   }
 
+  // Mark room media as failed and drop every participant's (already closed) mediasoup objects
+  markRoomFailed(roomId) {
+    const room = this.getRoom(roomId);
+    if (!room) return;
+
+    room.status = 'failed';
+    for (const participant of room.participants.values()) {
+      this.cleanupParticipant(participant);
+      participant.routerId = null;
+      this.persist(roomId, () => this.store.removeUserProducers(roomId, participant.userId));
+    }
+  }
+
+  // Mark room media as active again once its router has been rebuilt, re-placing every participant
+  async markRoomRecovered(roomId) {
+    const room = this.getRoom(roomId);
+    if (!room) return;
+
+    for (const participant of room.participants.values()) {
+      await this.assignRouter(roomId, participant.userId);
+    }
+    room.status = 'active';
+  }
+
+  // Lock or unlock room against new participants
+  setRoomLocked(roomId, locked) {
+    const room = this.getRoom(roomId);
+    if (room) {
+      room.locked = locked;
+    }
+  }
+
+  // Ban user from rejoining room
+  banUser(roomId, userId) {
+    const room = this.getRoom(roomId);
+    if (room) {
+      room.bannedUsers.add(userId);
+    }
+  }
+
+  // Check whether a user may join room (teachers can always join)
+  canJoinRoom(roomId, userId, role) {
+    const room = this.getRoom(roomId);
+    if (!room) return { allowed: true };
+
+    if (room.bannedUsers.has(userId)) {
+      return { allowed: false, reason: 'You have been removed from this room' };
+    }
+    if (room.locked && role !== 'teacher') {
+      return { allowed: false, reason: 'Room is locked' };
+    }
+    return { allowed: true };
+  }
+
+  // Enable or disable the waiting room
+  setLobbyEnabled(roomId, enabled) {
+    const room = this.getRoom(roomId);
+    if (room) {
+      room.lobbyEnabled = enabled;
+    }
+  }
+
+  isLobbyEnabled(roomId) {
+    const room = this.getRoom(roomId);
+    return room ? room.lobbyEnabled : false;
+  }
+
+  // Put user in the waiting room
+  addToLobby(roomId, userId, socketId, userInfo) {
+    const room = this.getRoom(roomId);
+    if (!room) return null;
+
+    const entry = {
+      userId,
+      socketId,
+      name: userInfo.name,
+      role: userInfo.role,
+      requestedAt: new Date()
+    };
+    room.lobby.set(userId, entry);
+    return entry;
+  }
+
+  // Take user out of the waiting room
+  removeFromLobby(roomId, userId) {
+    const room = this.getRoom(roomId);
+    if (!room) return null;
+
+    const entry = room.lobby.get(userId);
+    room.lobby.delete(userId);
+    return entry || null;
+  }
+
+  // Get users waiting in the lobby, oldest first
+  getLobby(roomId) {
+    const room = this.getRoom(roomId);
+    return room ? Array.from(room.lobby.values()) : [];
+  }
+
+  // Get the teachers currently in a room
+  getRoomTeachers(roomId) {
+    return this.getRoomParticipants(roomId).filter(p => p.role === 'teacher');
+  }
+
+  // Add user to the end of the raise-hand queue (no-op if already queued)
+  raiseHand(roomId, userId) {
+    const room = this.getRoom(roomId);
+    const participant = room ? room.participants.get(userId) : null;
+    if (!participant) return null;
+
+    if (!room.handQueue.some(entry => entry.userId === userId)) {
+      room.handQueue.push({ userId, name: participant.name, raisedAt: new Date() });
+    }
+    return room.handQueue;
+  }
+
+  // Remove user from the raise-hand queue; returns true if they were queued
+  lowerHand(roomId, userId) {
+    const room = this.getRoom(roomId);
+    if (!room) return false;
+
+    const index = room.handQueue.findIndex(entry => entry.userId === userId);
+    if (index === -1) return false;
+
+    room.handQueue.splice(index, 1);
+    return true;
+  }
+
+  getHandQueue(roomId) {
+    const room = this.getRoom(roomId);
+    return room ? room.handQueue : [];
+  }
+
+  // Require (or stop requiring) a granted turn before students can produce audio
+  setSpeakRequiresGrant(roomId, required) {
+    const room = this.getRoom(roomId);
+    if (room) {
+      room.speakRequiresGrant = required;
+    }
+  }
+
+  // Grant or revoke a participant's speaking turn
+  setSpeakingGranted(roomId, userId, granted) {
+    const participant = this.getParticipant(roomId, userId);
+    if (participant) {
+      participant.speakingGranted = granted;
+    }
+  }
+
+  // Check whether a participant may produce (or unmute) audio
+  canProduceAudio(roomId, userId) {
+    const room = this.getRoom(roomId);
+    const participant = room ? room.participants.get(userId) : null;
+    if (!participant) return false;
+
+    return !room.speakRequiresGrant || participant.role === 'teacher' || participant.speakingGranted;
+  }
+
+  // Mute or unmute a user in chat
+  setChatMuted(roomId, userId, muted) {
+    const room = this.getRoom(roomId);
+    if (!room) return;
+
+    if (muted) {
+      room.chatMutedUsers.add(userId);
+    } else {
+      room.chatMutedUsers.delete(userId);
+    }
+  }
+
+  // Check whether a user is muted in chat
+  isChatMuted(roomId, userId) {
+    const room = this.getRoom(roomId);
+    return room ? room.chatMutedUsers.has(userId) : false;
+  }
+
+  // Get users muted in chat
+  getChatMutedUsers(roomId) {
+    const room = this.getRoom(roomId);
+    return room ? Array.from(room.chatMutedUsers) : [];
+  }
+
+  // Get room whiteboard
+  getWhiteboard(roomId) {
+    const room = this.getRoom(roomId);
+    return room ? room.whiteboard : null;
+  }
+
+  // Whether a teacher has been in this run of the room
+  wasRoomTeacher(roomId, userId) {
+    const room = this.getRoom(roomId);
+    return !!room && room.teacherIds.has(userId);
+  }
+
+  // Whether a room is a main room with breakouts, or one of the breakouts
+  isInBreakoutSession(room) {
+    if (room.breakoutRoomIds.length > 0) return true;
+
+    const parent = room.parentRoomId ? this.getRoom(room.parentRoomId) : null;
+    return !!parent && parent.breakoutRoomIds.includes(room.id);
+  }
+
+  // Create breakout rooms under a main room; returns their IDs
+  createBreakoutRooms(parentRoomId, names) {
+    const parent = this.getRoom(parentRoomId);
+    if (!parent) {
+      throw new Error('Room not found');
+    }
+    if (parent.parentRoomId) {
+      throw new Error('Breakout rooms cannot have breakout rooms');
+    }
+    if (parent.breakoutRoomIds.length > 0) {
+      throw new Error('Breakout rooms are already open');
+    }
+
+    parent.breakoutRoomIds = names.map((name, index) => {
+      const roomId = getBreakoutRoomId(parentRoomId, index + 1);
+      const room = this.createRoom(roomId);
+      room.parentRoomId = parentRoomId;
+      room.name = name;
+      room.bandwidthPolicy = bandwidthPolicy.mergePolicy(parent.bandwidthPolicy, {});
+      return roomId;
+    });
+    return parent.breakoutRoomIds;
+  }
+
+  // Get the breakout rooms of a main room with who is in them
+  getBreakoutRooms(parentRoomId) {
+    const parent = this.getRoom(parentRoomId);
+    if (!parent) return [];
+
+    return parent.breakoutRoomIds
+      .map(roomId => this.getRoom(roomId))
+      .filter(Boolean)
+      .map(room => ({
+        roomId: room.id,
+        name: room.name,
+        participants: Array.from(room.participants.values()).map(p => ({
+          userId: p.userId,
+          name: p.name,
+          role: p.role
+        }))
+      }));
+  }
+
+  // Get the main room of a room (itself unless it is a breakout room)
+  getMainRoomId(roomId) {
+    const room = this.getRoom(roomId);
+    return room && room.parentRoomId ? room.parentRoomId : roomId;
+  }
+
+  // End a breakout session: close its (by now empty) rooms; returns their IDs
+  closeBreakoutRooms(parentRoomId) {
+    const parent = this.getRoom(parentRoomId);
+    if (!parent) return [];
+
+    const roomIds = parent.breakoutRoomIds;
+    parent.breakoutRoomIds = [];
+    roomIds.forEach(roomId => this.dropRoom(roomId));
+
+    // The main room may have emptied while everyone was in breakouts
+    if (parent.participants.size === 0) {
+      this.dropRoom(parentRoomId);
+    }
+
+    return roomIds;
+  }
+
+  // Close a room and its breakout rooms, dropping every participant; returns the closed room IDs
+  closeRoom(roomId) {
+    const room = this.getRoom(roomId);
+    if (!room) return [];
+
+    const roomIds = [...room.breakoutRoomIds, roomId];
+    room.breakoutRoomIds = [];
+    roomIds.forEach(id => this.dropRoom(id));
+
+    return roomIds;
+  }
+
+  // Remove a room right away; anyone still in it (e.g. in the reconnection grace period) is dropped
+  dropRoom(roomId) {
+    const room = this.getRoom(roomId);
+    if (!room) return;
+
+    for (const participant of room.participants.values()) {
+      this.discardParticipant(roomId, participant);
+      this.persist(roomId, () => this.store.removeParticipant(roomId, participant.userId));
+    }
+    room.participants.clear();
+
+    this.releaseRoom(roomId);
+    this.persist(roomId, () => this.store.removeRoom(roomId));
+  }
+
+  // Forget a local room along with its router and polls
+  releaseRoom(roomId) {
+    this.rooms.delete(roomId);
+    closeRouter(roomId);
+    pollService.discardRoom(roomId);
+    this.emit('roomReleased', roomId);
+  }
+
   // Get room statistics
   getRoomStats(roomId) {
     const room = this.getRoom(roomId);
@@ -206,20 +946,60 @@ class RoomService {
 
     return {
       roomId,
+      parentRoomId: room.parentRoomId,
+      breakoutRoomIds: room.breakoutRoomIds,
+      status: room.status,
+      locked: room.locked,
+      lobbyEnabled: room.lobbyEnabled,
+      lobbyCount: room.lobby.size,
+      raisedHands: room.handQueue.length,
+      bandwidthPolicy: room.bandwidthPolicy,
       participantCount: room.participants.size,
+      routerCount: new Set(Array.from(room.participants.values()).map(p => p.routerId).filter(Boolean)).size,
       participants: Array.from(room.participants.values()).map(p => ({
         userId: p.userId,
         name: p.name,
         role: p.role,
         joinedAt: p.joinedAt,
+        connected: !p.disconnectedAt,
+        chatMuted: room.chatMutedUsers.has(p.userId),
+        routerId: p.routerId,
         transportCount: p.transports.size,
         producerCount: p.producers.size,
-        consumerCount: p.consumers.size
+        consumerCount: p.consumers.size,
+        dataProducerCount: p.dataProducers.size,
+        dataConsumerCount: p.dataConsumers.size,
+        networkQuality: p.networkQuality
       })),
       createdAt: room.createdAt
     };
   }
 
+  // Totals across every room on this instance
+  getTotals() {
+    const totals = {
+      rooms: this.rooms.size,
+      participants: 0,
+      transports: 0,
+      producers: 0,
+      consumers: 0,
+      dataProducers: 0,
+      dataConsumers: 0
+    };
+
+    for (const room of this.rooms.values()) {
+      for (const participant of room.participants.values()) {
+        totals.participants++;
+        totals.transports += participant.transports.size;
+        totals.producers += participant.producers.size;
+        totals.consumers += participant.consumers.size;
+        totals.dataProducers += participant.dataProducers.size;
+        totals.dataConsumers += participant.dataConsumers.size;
+      }
+    }
+    return totals;
+  }
+
   // Get all rooms
   getAllRooms() {
     return Array.from(this.rooms.keys());
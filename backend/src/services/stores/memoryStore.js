@@ -0,0 +1,129 @@
+// In-memory room state store
+// Only suitable for a single backend instance; use the Redis store to share rooms across instances
+class MemoryRoomStore {
+  constructor() {
+    this.rooms = new Map(); // roomId -> { meta, participants: Map, producers: Map }
+    this.nodes = new Map(); // nodeId -> heartbeat expiry (ms)
+  }
+
+  async connect() {}
+
+  async disconnect() {}
+
+  // Get a room's entry, registering it first if needed; synchronous so no removal can slip in between
+  ensureRoom(roomId, meta = {}) {
+    if (!this.rooms.has(roomId)) {
+      this.rooms.set(roomId, {
+        meta: { id: roomId, ...meta },
+        participants: new Map(), // userId -> participant info
+        producers: new Map() // producerId -> producer info
+      });
+    }
+    return this.rooms.get(roomId);
+  }
+
+  // Register room (no-op if it already exists)
+  async addRoom(roomId, meta = {}) {
+    this.ensureRoom(roomId, meta);
+  }
+
+  async removeRoom(roomId) {
+    this.rooms.delete(roomId);
+  }
+
+  // Remove a room no instance has participants in; returns whether it was removed
+  async removeRoomIfEmpty(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room || room.participants.size > 0) return false;
+
+    this.rooms.delete(roomId);
+    return true;
+  }
+
+  async hasRoom(roomId) {
+    return this.rooms.has(roomId);
+  }
+
+  async listRooms() {
+    return Array.from(this.rooms.keys());
+  }
+
+  async addParticipant(roomId, participant) {
+    this.ensureRoom(roomId).participants.set(participant.userId, participant);
+  }
+
+  async removeParticipant(roomId, userId) {
+    const room = this.rooms.get(roomId);
+    if (room) {
+      room.participants.delete(userId);
+    }
+  }
+
+  async getParticipants(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? Array.from(room.participants.values()) : [];
+  }
+
+  async addProducer(roomId, producer) {
+    this.ensureRoom(roomId).producers.set(producer.id, producer);
+  }
+
+  async removeProducer(roomId, producerId) {
+    const room = this.rooms.get(roomId);
+    if (room) {
+      room.producers.delete(producerId);
+    }
+  }
+
+  // Remove every producer owned by a user
+  async removeUserProducers(roomId, userId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    for (const [producerId, producer] of room.producers) {
+      if (producer.userId === userId) {
+        room.producers.delete(producerId);
+      }
+    }
+  }
+
+  async getProducers(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? Array.from(room.producers.values()) : [];
+  }
+
+  // Record an instance's heartbeat: it counts as alive until expiresAt (ms)
+  async touchNode(nodeId, expiresAt) {
+    this.nodes.set(nodeId, expiresAt);
+  }
+
+  // Purge participants and producers of instances whose heartbeat expired; returns their IDs
+  async removeExpiredNodes(now = Date.now()) {
+    const expired = Array.from(this.nodes).filter(([, expiresAt]) => expiresAt <= now).map(([nodeId]) => nodeId);
+    if (expired.length === 0) return [];
+
+    const isExpired = (entry) => expired.includes(entry.nodeId);
+    for (const [roomId, room] of this.rooms) {
+      let purged = false;
+      for (const [userId, participant] of room.participants) {
+        if (isExpired(participant)) {
+          room.participants.delete(userId);
+          purged = true;
+        }
+      }
+      for (const [producerId, producer] of room.producers) {
+        if (isExpired(producer)) {
+          room.producers.delete(producerId);
+        }
+      }
+      if (purged && room.participants.size === 0) {
+        this.rooms.delete(roomId);
+      }
+    }
+
+    expired.forEach(nodeId => this.nodes.delete(nodeId));
+    return expired;
+  }
+}
+
+module.exports = MemoryRoomStore;
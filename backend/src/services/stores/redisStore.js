@@ -0,0 +1,182 @@
+// Redis room state store
+// Shares room membership and producer listings between backend instances.
+// Key layout (prefix defaults to "vc:"):
+//   <prefix>rooms                        set of room IDs
+//   <prefix>room:<roomId>                hash of room metadata
+//   <prefix>room:<roomId>:participants   hash userId -> participant JSON
+//   <prefix>room:<roomId>:producers      hash producerId -> producer JSON
+//   <prefix>nodes                        sorted set nodeId -> heartbeat expiry (ms)
+
+// Delete a room's keys only while its participants hash is empty, as one atomic step
+// KEYS: rooms set, room hash, participants hash, producers hash; ARGV: room ID
+const removeRoomIfEmptyScript = `
+if redis.call('HLEN', KEYS[3]) > 0 then
+  return 0
+end
+local removed = redis.call('SREM', KEYS[1], ARGV[1])
+redis.call('DEL', KEYS[2], KEYS[3], KEYS[4])
+return removed
+`;
+
+// Delete hash fields only if they still hold the values read earlier (e.g. not rewritten by a rejoin)
+// KEYS: hash; ARGV: field, value, field, value...
+const deleteUnchangedScript = `
+local deleted = 0
+for i = 1, #ARGV, 2 do
+  if redis.call('HGET', KEYS[1], ARGV[i]) == ARGV[i + 1] then
+    deleted = deleted + redis.call('HDEL', KEYS[1], ARGV[i])
+  end
+end
+return deleted
+`;
+
+class RedisRoomStore {
+  constructor(client, prefix = process.env.REDIS_KEY_PREFIX || 'vc:') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  roomsKey() {
+    return `${this.prefix}rooms`;
+  }
+
+  roomKey(roomId) {
+    return `${this.prefix}room:${roomId}`;
+  }
+
+  participantsKey(roomId) {
+    return `${this.roomKey(roomId)}:participants`;
+  }
+
+  producersKey(roomId) {
+    return `${this.roomKey(roomId)}:producers`;
+  }
+
+  nodesKey() {
+    return `${this.prefix}nodes`;
+  }
+
+  async connect() {
+    if (!this.client.isOpen) {
+      await this.client.connect();
+    }
+  }
+
+  async disconnect() {
+    if (this.client.isOpen) {
+      await this.client.quit();
+    }
+  }
+
+  // Queue the commands registering a room on a MULTI (keeps the original metadata if it already exists)
+  queueAddRoom(multi, roomId, meta = {}) {
+    multi.sAdd(this.roomsKey(), roomId);
+
+    const fields = { id: roomId, ...meta };
+    for (const [key, value] of Object.entries(fields)) {
+      const stored = value instanceof Date ? value.toISOString() : String(value);
+      multi.hSetNX(this.roomKey(roomId), key, stored);
+    }
+    return multi;
+  }
+
+  // Register room (keeps the original metadata if it already exists)
+  async addRoom(roomId, meta = {}) {
+    await this.queueAddRoom(this.client.multi(), roomId, meta).exec();
+  }
+
+  async removeRoom(roomId) {
+    await this.client.multi()
+      .sRem(this.roomsKey(), roomId)
+      .del([this.roomKey(roomId), this.participantsKey(roomId), this.producersKey(roomId)])
+      .exec();
+  }
+
+  // Remove a room no instance has participants in; returns whether it was removed
+  async removeRoomIfEmpty(roomId) {
+    const removed = await this.client.eval(removeRoomIfEmptyScript, {
+      keys: [this.roomsKey(), this.roomKey(roomId), this.participantsKey(roomId), this.producersKey(roomId)],
+      arguments: [roomId]
+    });
+    return removed === 1;
+  }
+
+  async hasRoom(roomId) {
+    return Boolean(await this.client.sIsMember(this.roomsKey(), roomId));
+  }
+
+  async listRooms() {
+    return this.client.sMembers(this.roomsKey());
+  }
+
+  // Registers the room in the same transaction, so a concurrent removal cannot leave a participant without its room
+  async addParticipant(roomId, participant) {
+    await this.queueAddRoom(this.client.multi(), roomId)
+      .hSet(this.participantsKey(roomId), participant.userId, JSON.stringify(participant))
+      .exec();
+  }
+
+  async removeParticipant(roomId, userId) {
+    await this.client.hDel(this.participantsKey(roomId), userId);
+  }
+
+  async getParticipants(roomId) {
+    const entries = await this.client.hVals(this.participantsKey(roomId));
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  async addProducer(roomId, producer) {
+    await this.client.hSet(this.producersKey(roomId), producer.id, JSON.stringify(producer));
+  }
+
+  async removeProducer(roomId, producerId) {
+    await this.client.hDel(this.producersKey(roomId), producerId);
+  }
+
+  // Remove every producer owned by a user
+  async removeUserProducers(roomId, userId) {
+    const producers = await this.getProducers(roomId);
+    const ids = producers.filter(p => p.userId === userId).map(p => p.id);
+    if (ids.length > 0) {
+      await this.client.hDel(this.producersKey(roomId), ids);
+    }
+  }
+
+  async getProducers(roomId) {
+    const entries = await this.client.hVals(this.producersKey(roomId));
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  // Record an instance's heartbeat: it counts as alive until expiresAt (ms)
+  async touchNode(nodeId, expiresAt) {
+    await this.client.zAdd(this.nodesKey(), { score: expiresAt, value: nodeId });
+  }
+
+  // Purge participants and producers of instances whose heartbeat expired; returns their IDs
+  async removeExpiredNodes(now = Date.now()) {
+    const expired = await this.client.zRangeByScore(this.nodesKey(), 0, now);
+    if (expired.length === 0) return [];
+
+    for (const roomId of await this.listRooms()) {
+      const purged = await this.deleteExpiredEntries(this.participantsKey(roomId), expired);
+      await this.deleteExpiredEntries(this.producersKey(roomId), expired);
+      if (purged > 0) {
+        await this.removeRoomIfEmpty(roomId);
+      }
+    }
+
+    await this.client.zRem(this.nodesKey(), expired);
+    return expired;
+  }
+
+  // Delete the entries of a participants or producers hash written by the given instances
+  async deleteExpiredEntries(key, nodeIds) {
+    const entries = await this.client.hGetAll(key);
+    const stale = Object.entries(entries).filter(([, value]) => nodeIds.includes(JSON.parse(value).nodeId));
+    if (stale.length === 0) return 0;
+
+    return this.client.eval(deleteUnchangedScript, { keys: [key], arguments: stale.flat() });
+  }
+}
+
+module.exports = RedisRoomStore;
@@ -0,0 +1,224 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Whiteboard limits; coordinates live in a fixed logical canvas that clients scale to their viewport
+const canvasWidth = 1920;
+const canvasHeight = 1080;
+const maxElements = parseInt(process.env.WHITEBOARD_MAX_ELEMENTS) || 5000;
+const maxPoints = 5000;
+// Points across all elements of a board; every joiner receives the whole board, so its size is bounded too
+const maxTotalPoints = parseInt(process.env.WHITEBOARD_MAX_POINTS) || 100000;
+const maxTextLength = 500;
+
+const elementTypes = ['path', 'line', 'rect', 'ellipse', 'text'];
+const colorPattern = /^#[0-9a-fA-F]{3,8}$/;
+
+const countPoints = (element) => (element.points ? element.points.length : 0);
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const round = (value) => Math.round(value * 100) / 100;
+
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Validate a drawn element and keep only known fields; returns { element } or { error }
+const sanitizeElement = (input) => {
+  if (!input || !elementTypes.includes(input.type)) {
+    return { error: `Element type must be one of: ${elementTypes.join(', ')}` };
+  }
+
+  const element = {
+    type: input.type,
+    color: colorPattern.test(input.color) ? input.color : '#000000',
+    strokeWidth: isNumber(input.strokeWidth) ? clamp(input.strokeWidth, 1, 50) : 2
+  };
+
+  switch (input.type) {
+    case 'path':
+    case 'line': {
+      const { points } = input;
+      const valid = Array.isArray(points) &&
+        points.length >= 2 &&
+        points.length <= maxPoints &&
+        points.every(point => Array.isArray(point) && point.length === 2 && point.every(isNumber));
+      if (!valid || (input.type === 'line' && points.length !== 2)) {
+        return { error: 'Invalid points' };
+      }
+      element.points = points.map(([x, y]) => [round(x), round(y)]);
+      break;
+    }
+    case 'rect':
+    case 'ellipse': {
+      if (![input.x, input.y, input.width, input.height].every(isNumber)) {
+        return { error: 'Invalid shape bounds' };
+      }
+      element.x = round(input.x);
+      element.y = round(input.y);
+      element.width = round(Math.abs(input.width));
+      element.height = round(Math.abs(input.height));
+      element.fill = colorPattern.test(input.fill) ? input.fill : 'none';
+      break;
+    }
+    case 'text': {
+      if (![input.x, input.y].every(isNumber) || typeof input.text !== 'string' ||
+          input.text.length === 0 || input.text.length > maxTextLength) {
+        return { error: 'Invalid text' };
+      }
+      element.x = round(input.x);
+      element.y = round(input.y);
+      element.text = input.text;
+      element.fontSize = isNumber(input.fontSize) ? clamp(input.fontSize, 8, 128) : 24;
+      break;
+    }
+  }
+
+  return { element };
+};
+
+// Server-authoritative whiteboard document of a room.
+// Every accepted operation gets the next sequence number and is broadcast in that order,
+// so all clients converge on the same state; updates are last-writer-wins per element
+// and operations on elements that no longer exist are rejected.
+class Whiteboard {
+  constructor() {
+    this.version = 0; // sequence number of the last applied operation
+    this.elements = new Map(); // elementId -> element, in drawing order
+    this.totalPoints = 0; // points across all elements, bounded by maxTotalPoints
+    this.locked = false; // locked boards only accept teacher drawing
+    this.updatedAt = new Date();
+  }
+
+  canDraw(role) {
+    return !this.locked || role === 'teacher';
+  }
+
+  // Students may only change their own elements
+  canModify(element, user) {
+    return user.role === 'teacher' || element.authorId === user.userId;
+  }
+
+  // Record an accepted operation
+  commit(op, user) {
+    this.version++;
+    this.updatedAt = new Date();
+    return { op: { seq: this.version, ...op, userId: user.userId } };
+  }
+
+  // Apply a drawing operation ({ type: 'add' | 'update' | 'delete', ... }); returns { op } or { error }
+  apply(data, user) {
+    if (!this.canDraw(user.role)) {
+      return { error: 'Whiteboard is locked' };
+    }
+
+    const { type } = data || {};
+
+    if (type === 'add') {
+      if (this.elements.size >= maxElements) {
+        return { error: 'Whiteboard is full' };
+      }
+      const { element, error } = sanitizeElement(data.element);
+      if (error) {
+        return { error };
+      }
+      if (this.totalPoints + countPoints(element) > maxTotalPoints) {
+        return { error: 'Whiteboard is full' };
+      }
+      element.id = uuidv4();
+      element.authorId = user.userId;
+      this.elements.set(element.id, element);
+      this.totalPoints += countPoints(element);
+      return this.commit({ type, element }, user);
+    }
+
+    if (type === 'update' || type === 'delete') {
+      const existing = this.elements.get(data.id);
+      if (!existing) {
+        return { error: 'Element not found' };
+      }
+      if (!this.canModify(existing, user)) {
+        return { error: 'Only the author or a teacher can change this element' };
+      }
+
+      if (type === 'delete') {
+        this.elements.delete(data.id);
+        this.totalPoints -= countPoints(existing);
+        return this.commit({ type, id: data.id }, user);
+      }
+
+      // The element keeps its ID, type and author; the changes replace its other fields
+      const { element, error } = sanitizeElement({ ...existing, ...data.changes, type: existing.type });
+      if (error) {
+        return { error };
+      }
+      const totalPoints = this.totalPoints - countPoints(existing) + countPoints(element);
+      if (totalPoints > maxTotalPoints) {
+        return { error: 'Whiteboard is full' };
+      }
+      element.id = existing.id;
+      element.authorId = existing.authorId;
+      this.elements.set(element.id, element);
+      this.totalPoints = totalPoints;
+      return this.commit({ type, element }, user);
+    }
+
+    return { error: 'Operation type must be add, update or delete' };
+  }
+
+  // Remove every element
+  clear(user) {
+    this.elements.clear();
+    this.totalPoints = 0;
+    return this.commit({ type: 'clear' }, user);
+  }
+
+  setLocked(locked) {
+    this.locked = locked;
+  }
+
+  // Full document state for late joiners and exports
+  getSnapshot() {
+    return {
+      version: this.version,
+      locked: this.locked,
+      width: canvasWidth,
+      height: canvasHeight,
+      elements: Array.from(this.elements.values()),
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // Render the board as a standalone SVG document
+  toSVG() {
+    const shapes = Array.from(this.elements.values()).map((element) => {
+      const stroke = `stroke="${element.color}" stroke-width="${element.strokeWidth}"`;
+      switch (element.type) {
+        case 'path':
+          return `<polyline points="${element.points.map(p => p.join(',')).join(' ')}" fill="none" ${stroke} stroke-linecap="round" stroke-linejoin="round"/>`;
+        case 'line': {
+          const [[x1, y1], [x2, y2]] = element.points;
+          return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" ${stroke} stroke-linecap="round"/>`;
+        }
+        case 'rect':
+          return `<rect x="${element.x}" y="${element.y}" width="${element.width}" height="${element.height}" fill="${element.fill}" ${stroke}/>`;
+        case 'ellipse':
+          return `<ellipse cx="${round(element.x + element.width / 2)}" cy="${round(element.y + element.height / 2)}" rx="${round(element.width / 2)}" ry="${round(element.height / 2)}" fill="${element.fill}" ${stroke}/>`;
+        case 'text':
+          return `<text x="${element.x}" y="${element.y}" font-size="${element.fontSize}" fill="${element.color}">${escapeXml(element.text)}</text>`;
+        default:
+          return '';
+      }
+    });
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${canvasWidth}" height="${canvasHeight}" viewBox="0 0 ${canvasWidth} ${canvasHeight}">`,
+      '<rect width="100%" height="100%" fill="#ffffff"/>',
+      ...shapes,
+      '</svg>'
+    ].join('\n');
+  }
+}
+
+module.exports = Whiteboard;
@@ -0,0 +1,54 @@
+const roomService = require('../services/roomService');
+const bandwidthPolicy = require('../services/bandwidthPolicy');
+
+// Per-room bandwidth policy: read by anyone in the room, changed live by teachers
+const registerBandwidthHandlers = (io, socket) => {
+  // Handle reading the room's policy
+  socket.on('bandwidth:get', (callback) => {
+    try {
+      const user = roomService.getUserBySocketId(socket.id);
+      if (!user) {
+        return callback({ error: 'User not found in any room' });
+      }
+
+      callback({ success: true, policy: roomService.getBandwidthPolicy(user.roomId) });
+
+    } catch (error) {
+      console.error('Error getting bandwidth policy:', error);
+      callback({ error: 'Failed to get bandwidth policy' });
+    }
+  });
+
+  // Handle changing the room's policy (teacher only); existing transports are re-capped right away
+  socket.on('bandwidth:update', async (data, callback) => {
+    try {
+      if (socket.user.role !== 'teacher') {
+        return callback({ error: 'Only teachers can change bandwidth limits' });
+      }
+      const user = roomService.getUserBySocketId(socket.id);
+      if (!user) {
+        return callback({ error: 'User not found in any room' });
+      }
+
+      const { changes, error } = bandwidthPolicy.validatePolicy(data.policy);
+      if (error) {
+        return callback({ error });
+      }
+
+      const { policy, updatedTransports } = await roomService.updateBandwidthPolicy(user.roomId, changes);
+
+      console.log(`Teacher ${user.name} updated the bandwidth policy in room: ${user.roomId} (${updatedTransports} transports)`);
+
+      callback({ success: true, policy, updatedTransports });
+
+      // Clients can adapt their encodings to the new caps
+      io.to(user.roomId).emit('bandwidth:policy', { policy, by: user.name });
+
+    } catch (error) {
+      console.error('Error updating bandwidth policy:', error);
+      callback({ error: 'Failed to update bandwidth policy' });
+    }
+  });
+};
+
+module.exports = registerBandwidthHandlers;
@@ -0,0 +1,315 @@
+const { createRouter } = require('../config/mediasoup');
+const roomService = require('../services/roomService');
+const audioObserverService = require('../services/audioObserverService');
+
+// Breakout configuration
+const maxBreakoutRooms = parseInt(process.env.BREAKOUT_MAX_ROOMS) || 20;
+const defaultCloseCountdownSeconds = parseInt(process.env.BREAKOUT_CLOSE_COUNTDOWN_SECONDS) || 30;
+
+// Breakout rooms: a teacher splits the main room into sub-rooms and later pulls everyone back.
+// Moving someone closes their media in the old room and performs a normal join of the new one;
+// the client then rebuilds its transports and producers from the breakout:moved payload.
+// completeJoin(socket, roomId) performs the normal join and returns the joinRoom response.
+const createBreakouts = (io, completeJoin) => {
+  const closeTimers = new Map(); // mainRoomId -> countdown timer
+
+  // Every room of a breakout session: the main room and its breakouts
+  const getSessionRoomIds = (mainRoomId) => {
+    const main = roomService.getRoom(mainRoomId);
+    return main ? [mainRoomId, ...main.breakoutRoomIds] : [];
+  };
+
+  // Tell everyone in the session how the class is split
+  const publishRooms = (mainRoomId) => {
+    io.to(getSessionRoomIds(mainRoomId)).emit('breakout:rooms', {
+      mainRoomId,
+      rooms: roomService.getBreakoutRooms(mainRoomId)
+    });
+  };
+
+  // Find which room of the session a user is in
+  const findParticipantRoom = (mainRoomId, userId) => {
+    return getSessionRoomIds(mainRoomId)
+      .find(roomId => roomService.getParticipant(roomId, userId)) || null;
+  };
+
+  // Leave the current room (closing all media there) and join the target room
+  const moveSocket = async (socket, targetRoomId) => {
+    const user = roomService.removeUserFromRoom(socket.id);
+    if (user) {
+      socket.leave(user.roomId);
+      socket.to(user.roomId).emit('userLeft', {
+        userId: user.userId,
+        name: user.name,
+        role: user.role
+      });
+    }
+
+    return completeJoin(socket, targetRoomId);
+  };
+
+  // Move a connected participant of the session to another room of it; returns false if they can't be moved
+  const moveParticipant = async (mainRoomId, userId, targetRoomId) => {
+    const currentRoomId = findParticipantRoom(mainRoomId, userId);
+    if (!currentRoomId) return false;
+    if (currentRoomId === targetRoomId) return true;
+
+    const participant = roomService.getParticipant(currentRoomId, userId);
+    const socket = participant.disconnectedAt ? null : io.sockets.sockets.get(participant.socketId);
+    if (!socket) return false;
+
+    const joined = await moveSocket(socket, targetRoomId);
+    const room = roomService.getRoom(targetRoomId);
+    socket.emit('breakout:moved', { ...joined, name: room.name, mainRoomId });
+    return true;
+  };
+
+  // Bring everyone back to the main room and close the breakouts
+  const closeSession = async (mainRoomId) => {
+    clearTimeout(closeTimers.get(mainRoomId));
+    closeTimers.delete(mainRoomId);
+
+    const main = roomService.getRoom(mainRoomId);
+    if (!main) return;
+
+    for (const roomId of main.breakoutRoomIds) {
+      for (const participant of roomService.getRoomParticipants(roomId)) {
+        try {
+          await moveParticipant(mainRoomId, participant.userId, mainRoomId);
+        } catch (error) {
+          console.error(`Error returning ${participant.userId} to room ${mainRoomId}:`, error);
+        }
+      }
+    }
+
+    roomService.closeBreakoutRooms(mainRoomId);
+
+    console.log(`Breakout rooms of room ${mainRoomId} closed`);
+
+    io.to(mainRoomId).emit('breakout:closed', { mainRoomId });
+  };
+
+  // Shuffle students over the breakout rooms round-robin
+  const autoAssign = (students, roomIds) => {
+    const shuffled = [...students];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled.map((student, index) => [student.userId, roomIds[index % roomIds.length]]);
+  };
+
+  const registerHandlers = (socket) => {
+    // Resolve the calling teacher and the main room of their session
+    const getTeacherContext = () => {
+      if (socket.user.role !== 'teacher') {
+        return { error: 'Only teachers can manage breakout rooms' };
+      }
+      const user = roomService.getUserBySocketId(socket.id);
+      if (!user) {
+        return { error: 'User not found in any room' };
+      }
+      return { user, mainRoomId: roomService.getMainRoomId(user.roomId) };
+    };
+
+    // Handle creating breakout rooms (names or count, optional 'auto' or { userId: roomIndex } assignments)
+    socket.on('breakout:create', async (data, callback) => {
+      try {
+        const { count, names, assignments } = data;
+        const { user, mainRoomId, error } = getTeacherContext();
+        if (error) {
+          return callback({ error });
+        }
+
+        if (roomService.getBreakoutRooms(mainRoomId).length > 0) {
+          return callback({ error: 'Breakout rooms are already open' });
+        }
+
+        // Check the requested size before building anything from it
+        const requested = names ? names.length : count || 0;
+        if (requested < 1 || requested > maxBreakoutRooms) {
+          return callback({ error: `Between 1 and ${maxBreakoutRooms} breakout rooms are required` });
+        }
+
+        const roomNames = names
+          ? names.map(name => name.trim()).filter(Boolean)
+          : Array.from({ length: requested }, (_, index) => `Room ${index + 1}`);
+        if (roomNames.length < 1) {
+          return callback({ error: `Between 1 and ${maxBreakoutRooms} breakout rooms are required` });
+        }
+
+        const roomIds = roomService.createBreakoutRooms(mainRoomId, roomNames);
+        for (const roomId of roomIds) {
+          await createRouter(roomId);
+          await audioObserverService.attachToRoom(roomId);
+        }
+
+        // Work out who goes where
+        let plan = [];
+        if (assignments === 'auto') {
+          const students = roomService.getRoomParticipants(mainRoomId)
+            .filter(p => p.role === 'student' && !p.disconnectedAt);
+          plan = autoAssign(students, roomIds);
+        } else if (typeof assignments === 'object') {
+          plan = Object.entries(assignments)
+            .filter(([, index]) => roomIds[index] !== undefined)
+            .map(([userId, index]) => [userId, roomIds[index]]);
+        }
+
+        for (const [userId, roomId] of plan) {
+          await moveParticipant(mainRoomId, userId, roomId);
+        }
+
+        console.log(`Teacher ${user.name} opened ${roomIds.length} breakout rooms in room: ${mainRoomId}`);
+
+        callback({ success: true, mainRoomId, rooms: roomService.getBreakoutRooms(mainRoomId) });
+
+        publishRooms(mainRoomId);
+
+      } catch (error) {
+        console.error('Error creating breakout rooms:', error);
+        callback({ error: 'Failed to create breakout rooms' });
+      }
+    });
+
+    // Handle moving a participant to a breakout room or back to the main room
+    socket.on('breakout:assign', async (data, callback) => {
+      try {
+        const { userId, roomId } = data;
+        const { mainRoomId, error } = getTeacherContext();
+        if (error) {
+          return callback({ error });
+        }
+
+        if (!getSessionRoomIds(mainRoomId).includes(roomId)) {
+          return callback({ error: 'Room is not part of this breakout session' });
+        }
+
+        const moved = await moveParticipant(mainRoomId, userId, roomId);
+        if (!moved) {
+          return callback({ error: 'Participant not found or not connected' });
+        }
+
+        callback({ success: true });
+
+        publishRooms(mainRoomId);
+
+      } catch (error) {
+        console.error('Error assigning breakout room:', error);
+        callback({ error: 'Failed to move participant' });
+      }
+    });
+
+    // Handle a teacher visiting a breakout room (or returning to the main room)
+    socket.on('breakout:visit', async (data, callback) => {
+      try {
+        const { roomId } = data;
+        const { user, mainRoomId, error } = getTeacherContext();
+        if (error) {
+          return callback({ error });
+        }
+
+        if (!getSessionRoomIds(mainRoomId).includes(roomId)) {
+          return callback({ error: 'Room is not part of this breakout session' });
+        }
+        if (roomId === user.roomId) {
+          return callback({ error: 'You are already in this room' });
+        }
+
+        const joined = await moveSocket(socket, roomId);
+
+        console.log(`Teacher ${user.name} moved to room: ${roomId}`);
+
+        callback({ ...joined, name: roomService.getRoom(roomId).name, mainRoomId });
+
+        publishRooms(mainRoomId);
+
+      } catch (error) {
+        console.error('Error visiting breakout room:', error);
+        callback({ error: 'Failed to visit room' });
+      }
+    });
+
+    // Handle a message to the main room and every breakout room
+    socket.on('breakout:broadcast', (data, callback) => {
+      try {
+        const { text } = data;
+        const { user, mainRoomId, error } = getTeacherContext();
+        if (error) {
+          return callback({ error });
+        }
+
+        if (text.trim().length === 0) {
+          return callback({ error: 'Message text is required' });
+        }
+
+        io.to(getSessionRoomIds(mainRoomId)).emit('breakout:message', {
+          text: text.trim(),
+          from: { userId: user.userId, name: user.name },
+          timestamp: new Date().toISOString()
+        });
+
+        callback({ success: true });
+
+      } catch (error) {
+        console.error('Error broadcasting to breakout rooms:', error);
+        callback({ error: 'Failed to broadcast message' });
+      }
+    });
+
+    // Handle closing every breakout room after a countdown
+    socket.on('breakout:close', (data, callback) => {
+      try {
+        const { countdownSeconds: seconds = defaultCloseCountdownSeconds } = data;
+        const { user, mainRoomId, error } = getTeacherContext();
+        if (error) {
+          return callback({ error });
+        }
+
+        if (roomService.getBreakoutRooms(mainRoomId).length === 0) {
+          return callback({ error: 'No breakout rooms are open' });
+        }
+        if (closeTimers.has(mainRoomId)) {
+          return callback({ error: 'Breakout rooms are already closing' });
+        }
+
+        const closesAt = new Date(Date.now() + seconds * 1000);
+
+        closeTimers.set(mainRoomId, setTimeout(() => {
+          closeSession(mainRoomId).catch(err => console.error('Error closing breakout rooms:', err));
+        }, seconds * 1000));
+
+        console.log(`Teacher ${user.name} is closing the breakout rooms of room ${mainRoomId} in ${seconds}s`);
+
+        callback({ success: true, closesAt });
+
+        io.to(getSessionRoomIds(mainRoomId)).emit('breakout:closing', { mainRoomId, seconds, closesAt });
+
+      } catch (error) {
+        console.error('Error closing breakout rooms:', error);
+        callback({ error: 'Failed to close breakout rooms' });
+      }
+    });
+
+    // Handle breakout room listing
+    socket.on('breakout:list', (callback) => {
+      try {
+        const user = roomService.getUserBySocketId(socket.id);
+        if (!user) {
+          return callback({ error: 'User not found in any room' });
+        }
+
+        const mainRoomId = roomService.getMainRoomId(user.roomId);
+        callback({ success: true, mainRoomId, rooms: roomService.getBreakoutRooms(mainRoomId) });
+
+      } catch (error) {
+        console.error('Error listing breakout rooms:', error);
+        callback({ error: 'Failed to list breakout rooms' });
+      }
+    });
+  };
+
+  return { registerHandlers };
+};
+
+module.exports = createBreakouts;
@@ -0,0 +1,182 @@
+const roomService = require('../services/roomService');
+const chatService = require('../services/chatService');
+
+// Room chat, direct messages and chat moderation
+const registerChatHandlers = (io, socket) => {
+  // Validate and filter outgoing text for the sending user
+  const prepareText = (user, text) => {
+    if (text.trim().length === 0) {
+      return { error: 'Message text is required' };
+    }
+    if (roomService.isChatMuted(user.roomId, user.userId)) {
+      return { error: 'You have been muted in chat' };
+    }
+    return chatService.filterText(text.trim());
+  };
+
+  // Handle chat messages
+  socket.on('chat:message', async (data, callback) => {
+    try {
+      const { text } = data;
+      const user = roomService.getUserBySocketId(socket.id);
+
+      if (!user) {
+        return callback({ error: 'User not found in any room' });
+      }
+
+      const filtered = prepareText(user, text);
+      if (filtered.error) {
+        return callback({ error: filtered.error });
+      }
+
+      const message = chatService.createMessage(user, filtered.text);
+
+      // Persist for history; a storage failure doesn't stop the live chat
+      try {
+        await chatService.saveMessage(user.roomId, message);
+      } catch (error) {
+        console.error('Error saving chat message:', error);
+      }
+
+      // Broadcast message to room
+      io.to(user.roomId).emit('chat:message', message);
+
+      callback({ success: true, message });
+
+    } catch (error) {
+      console.error('Error handling chat message:', error);
+      callback({ error: 'Failed to send message' });
+    }
+  });
+
+  // Handle direct messages between two participants of the same room
+  socket.on('chat:private', (data, callback) => {
+    try {
+      const { toUserId, text } = data;
+      const user = roomService.getUserBySocketId(socket.id);
+
+      if (!user) {
+        return callback({ error: 'User not found in any room' });
+      }
+
+      const recipient = roomService.getParticipant(user.roomId, toUserId);
+      if (!recipient || recipient.userId === user.userId) {
+        return callback({ error: 'Participant not found' });
+      }
+      if (recipient.disconnectedAt) {
+        return callback({ error: 'Participant is not connected' });
+      }
+
+      const filtered = prepareText(user, text);
+      if (filtered.error) {
+        return callback({ error: filtered.error });
+      }
+
+      const message = {
+        ...chatService.createMessage(user, filtered.text),
+        private: true,
+        to: { userId: recipient.userId, name: recipient.name }
+      };
+
+      // Direct messages are delivered live only, never stored in the room history
+      io.to(recipient.socketId).emit('chat:private', message);
+
+      callback({ success: true, message });
+
+    } catch (error) {
+      console.error('Error handling private message:', error);
+      callback({ error: 'Failed to send message' });
+    }
+  });
+
+  // Handle chat history request (cursor-based, newest pages first)
+  socket.on('chat:history', async (data, callback) => {
+    try {
+      const { before, limit } = data;
+      const user = roomService.getUserBySocketId(socket.id);
+
+      if (!user) {
+        return callback({ error: 'User not found in any room' });
+      }
+
+      const history = await chatService.getHistory(user.roomId, { before, limit });
+
+      callback({ success: true, ...history });
+
+    } catch (error) {
+      console.error('Error getting chat history:', error);
+      callback({ error: 'Failed to get chat history' });
+    }
+  });
+
+  // Resolve the calling teacher's room
+  const getTeacherUser = () => {
+    if (socket.user.role !== 'teacher') {
+      return { error: 'Only teachers can moderate chat' };
+    }
+    const user = roomService.getUserBySocketId(socket.id);
+    if (!user) {
+      return { error: 'User not found in any room' };
+    }
+    return { user };
+  };
+
+  // Handle deleting a chat message (teacher only)
+  socket.on('chat:delete', async (data, callback) => {
+    try {
+      const { messageId } = data;
+      const { user, error } = getTeacherUser();
+      if (error) {
+        return callback({ error });
+      }
+
+      const deleted = await chatService.deleteMessage(user.roomId, messageId);
+      if (!deleted) {
+        return callback({ error: 'Message not found' });
+      }
+
+      console.log(`Teacher ${user.name} deleted chat message ${messageId} in room: ${user.roomId}`);
+
+      callback({ success: true });
+
+      io.to(user.roomId).emit('chat:deleted', { messageId, deletedBy: user.name });
+
+    } catch (error) {
+      console.error('Error deleting chat message:', error);
+      callback({ error: 'Failed to delete message' });
+    }
+  });
+
+  // Handle muting or unmuting a participant in chat (teacher only)
+  socket.on('chat:mute', (data, callback) => {
+    try {
+      const { userId, muted = true } = data;
+      const { user, error } = getTeacherUser();
+      if (error) {
+        return callback({ error });
+      }
+
+      const target = roomService.getParticipant(user.roomId, userId);
+      if (!target) {
+        return callback({ error: 'Participant not found' });
+      }
+      if (target.role === 'teacher') {
+        return callback({ error: 'Cannot moderate a teacher' });
+      }
+
+      roomService.setChatMuted(user.roomId, userId, muted);
+
+      console.log(`Teacher ${user.name} ${muted ? 'muted' : 'unmuted'} ${target.name} in chat in room: ${user.roomId}`);
+
+      callback({ success: true });
+
+      io.to(user.roomId).emit('chat:muted', { userId, muted, by: user.name });
+
+    } catch (error) {
+      console.error('Error muting participant in chat:', error);
+      callback({ error: 'Failed to update chat mute' });
+    }
+  });
+};
+
+module.exports = registerChatHandlers;
@@ -0,0 +1,178 @@
+const roomService = require('../services/roomService');
+
+// Raise-hand queue with ordered speaking turns
+const registerHandHandlers = (io, socket) => {
+  // Broadcast the current queue to the room
+  const publishQueue = (roomId) => {
+    io.to(roomId).emit('hand:queue', { queue: roomService.getHandQueue(roomId) });
+  };
+
+  // Resolve the calling teacher's room
+  const getTeacherUser = () => {
+    if (socket.user.role !== 'teacher') {
+      return { error: 'Only teachers can manage speaking turns' };
+    }
+    const user = roomService.getUserBySocketId(socket.id);
+    if (!user) {
+      return { error: 'User not found in any room' };
+    }
+    return { user };
+  };
+
+  // Close a participant's audio producers once they may no longer speak
+  const closeAudioProducers = (roomId, participant) => {
+    for (const producer of Array.from(participant.producers.values())) {
+      if (producer.kind === 'audio') {
+        producer.close();
+        roomService.removeProducer(roomId, participant.userId, producer.id);
+        io.to(roomId).emit('producerClosed', { producerId: producer.id, userId: participant.userId });
+      }
+    }
+  };
+
+  // Handle raising hand
+  socket.on('hand:raise', (callback) => {
+    try {
+      const user = roomService.getUserBySocketId(socket.id);
+      if (!user) {
+        return callback({ error: 'User not found in any room' });
+      }
+
+      const queue = roomService.raiseHand(user.roomId, user.userId);
+
+      callback({
+        success: true,
+        position: queue.findIndex(entry => entry.userId === user.userId) + 1
+      });
+
+      publishQueue(user.roomId);
+
+    } catch (error) {
+      console.error('Error raising hand:', error);
+      callback({ error: 'Failed to raise hand' });
+    }
+  });
+
+  // Handle lowering hand
+  socket.on('hand:lower', (callback) => {
+    try {
+      const user = roomService.getUserBySocketId(socket.id);
+      if (!user) {
+        return callback({ error: 'User not found in any room' });
+      }
+
+      const lowered = roomService.lowerHand(user.roomId, user.userId);
+
+      callback({ success: true });
+
+      if (lowered) {
+        publishQueue(user.roomId);
+      }
+
+    } catch (error) {
+      console.error('Error lowering hand:', error);
+      callback({ error: 'Failed to lower hand' });
+    }
+  });
+
+  // Handle granting a speaking turn (teacher only)
+  socket.on('hand:grant', (data, callback) => {
+    try {
+      const { userId, allowAudio = true } = data;
+      const { user, error } = getTeacherUser();
+      if (error) {
+        return callback({ error });
+      }
+
+      const target = roomService.getParticipant(user.roomId, userId);
+      if (!target) {
+        return callback({ error: 'Participant not found' });
+      }
+
+      roomService.lowerHand(user.roomId, userId);
+      if (allowAudio) {
+        roomService.setSpeakingGranted(user.roomId, userId, true);
+      }
+
+      console.log(`Teacher ${user.name} granted a speaking turn to ${target.name}`);
+
+      callback({ success: true });
+
+      io.to(user.roomId).emit('hand:granted', {
+        userId,
+        name: target.name,
+        allowAudio: Boolean(allowAudio)
+      });
+      publishQueue(user.roomId);
+
+    } catch (error) {
+      console.error('Error granting speaking turn:', error);
+      callback({ error: 'Failed to grant speaking turn' });
+    }
+  });
+
+  // Handle dismissing a raised hand or ending a speaking turn (teacher only)
+  socket.on('hand:dismiss', (data, callback) => {
+    try {
+      const { userId } = data;
+      const { user, error } = getTeacherUser();
+      if (error) {
+        return callback({ error });
+      }
+
+      const target = roomService.getParticipant(user.roomId, userId);
+      if (!target) {
+        return callback({ error: 'Participant not found' });
+      }
+
+      roomService.lowerHand(user.roomId, userId);
+      if (target.speakingGranted) {
+        roomService.setSpeakingGranted(user.roomId, userId, false);
+        if (!roomService.canProduceAudio(user.roomId, userId)) {
+          closeAudioProducers(user.roomId, target);
+        }
+      }
+
+      callback({ success: true });
+
+      io.to(user.roomId).emit('hand:dismissed', { userId });
+      publishQueue(user.roomId);
+
+    } catch (error) {
+      console.error('Error dismissing hand:', error);
+      callback({ error: 'Failed to dismiss hand' });
+    }
+  });
+
+  // Handle requiring a granted turn before students can produce audio (teacher only)
+  socket.on('hand:requireGrant', (data, callback) => {
+    try {
+      const { required } = data;
+      const { user, error } = getTeacherUser();
+      if (error) {
+        return callback({ error });
+      }
+
+      roomService.setSpeakRequiresGrant(user.roomId, Boolean(required));
+
+      // Students without a turn stop speaking right away
+      if (required) {
+        for (const participant of roomService.getRoomParticipants(user.roomId)) {
+          if (!roomService.canProduceAudio(user.roomId, participant.userId)) {
+            closeAudioProducers(user.roomId, participant);
+          }
+        }
+      }
+
+      callback({ success: true, required: Boolean(required) });
+
+      io.to(user.roomId).emit('hand:grantRequired', { required: Boolean(required) });
+
+    } catch (error) {
+      console.error('Error setting speak permission mode:', error);
+      callback({ error: 'Failed to set speak permission mode' });
+    }
+  });
+};
+
+module.exports = registerHandHandlers;
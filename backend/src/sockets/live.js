@@ -0,0 +1,113 @@
+const roomService = require('../services/roomService');
+const egressService = require('../services/egressService');
+
+// Teacher-triggered live broadcast egress (HLS / RTMP)
+const registerLiveHandlers = (io, socket) => {
+  // Resolve the calling teacher's room
+  const getTeacherUser = () => {
+    if (socket.user.role !== 'teacher') {
+      return { error: 'Only teachers can broadcast' };
+    }
+    const user = roomService.getUserBySocketId(socket.id);
+    if (!user) {
+      return { error: 'User not found in any room' };
+    }
+    return { user };
+  };
+
+  // Handle starting a live broadcast of the teacher's audio and video
+  socket.on('live:start', async (data, callback) => {
+    try {
+      const { mode = 'hls' } = data;
+      const { user, error } = getTeacherUser();
+      if (error) {
+        return callback({ error });
+      }
+
+      if (egressService.isLive(user.roomId)) {
+        return callback({ error: 'Live broadcast already in progress' });
+      }
+
+      if (mode === 'rtmp' && !egressService.isRtmpConfigured()) {
+        return callback({ error: 'RTMP egress is not configured' });
+      }
+
+      // One audio and one video source from the teacher
+      const participant = roomService.getParticipant(user.roomId, user.userId);
+      const producers = [];
+      for (const kind of ['audio', 'video']) {
+        const producer = Array.from(participant.producers.values()).find(p => p.kind === kind);
+        if (producer) {
+          producers.push({ producerId: producer.id, kind, routerId: participant.routerId });
+        }
+      }
+
+      if (producers.length === 0) {
+        return callback({ error: 'Start your camera or microphone before going live' });
+      }
+
+      const status = await egressService.start(user.roomId, {
+        startedBy: { userId: user.userId, name: user.name },
+        producers,
+        mode
+      });
+
+      console.log(`Teacher ${user.name} started live ${mode} broadcast of room: ${user.roomId}`);
+
+      callback({ success: true, ...status, url: egressService.getViewerUrl(user.roomId) });
+
+      io.to(user.roomId).emit('live:status', status);
+
+    } catch (error) {
+      console.error('Error starting live broadcast:', error);
+      callback({ error: 'Failed to start live broadcast' });
+    }
+  });
+
+  // Handle stopping a live broadcast
+  socket.on('live:stop', async (callback) => {
+    try {
+      const { user, error } = getTeacherUser();
+      if (error) {
+        return callback({ error });
+      }
+
+      // live:status is broadcast through the stopped event
+      const stopped = await egressService.stop(user.roomId);
+      if (!stopped) {
+        return callback({ error: 'Room is not live' });
+      }
+
+      console.log(`Teacher ${user.name} stopped live broadcast of room: ${user.roomId}`);
+
+      callback({ success: true });
+
+    } catch (error) {
+      console.error('Error stopping live broadcast:', error);
+      callback({ error: 'Failed to stop live broadcast' });
+    }
+  });
+
+  // Handle live status request (teachers also get the viewer URL)
+  socket.on('live:status', (callback) => {
+    try {
+      const user = roomService.getUserBySocketId(socket.id);
+      if (!user) {
+        return callback({ error: 'User not found in any room' });
+      }
+
+      const status = egressService.getStatus(user.roomId);
+      if (socket.user.role === 'teacher' && status.live) {
+        status.url = egressService.getViewerUrl(user.roomId);
+      }
+
+      callback({ success: true, ...status });
+
+    } catch (error) {
+      console.error('Error getting live status:', error);
+      callback({ error: 'Failed to get live status' });
+    }
+  });
+};
+
+module.exports = registerLiveHandlers;
@@ -0,0 +1,266 @@
+const roomService = require('../services/roomService');
+
+// Waiting room: students joining a room with the lobby enabled wait for a teacher to admit them.
+// completeJoin(socket, roomId) performs the normal join and returns the joinRoom response.
+const createLobby = (io, completeJoin) => {
+  const pendingJoins = new Map(); // roomId -> Map userId -> { socket, callback }
+
+  // Take a held request out of the map
+  const takePending = (roomId, userId) => {
+    const waiting = pendingJoins.get(roomId);
+    const pending = waiting ? waiting.get(userId) : null;
+    if (!pending) return null;
+
+    waiting.delete(userId);
+    if (waiting.size === 0) {
+      pendingJoins.delete(roomId);
+    }
+    return pending;
+  };
+
+  // Find the room a socket is waiting for
+  const findRoomOfSocket = (socketId) => {
+    for (const [roomId, waiting] of pendingJoins) {
+      for (const pending of waiting.values()) {
+        if (pending.socket.id === socketId) return roomId;
+      }
+    }
+    return null;
+  };
+
+  // Send the current waiting list to every teacher in the room
+  const notifyTeachers = (roomId, event, payload) => {
+    for (const teacher of roomService.getRoomTeachers(roomId)) {
+      io.to(teacher.socketId).emit(event, payload);
+    }
+  };
+
+  const publishLobby = (roomId) => {
+    notifyTeachers(roomId, 'lobby:updated', { roomId, waiting: roomService.getLobby(roomId) });
+  };
+
+  // Hold a joinRoom request until a teacher answers it
+  const hold = (socket, roomId, callback) => {
+    const userId = socket.user.uid;
+
+    // A socket waits for one room at a time
+    const previousRoomId = findRoomOfSocket(socket.id);
+    if (previousRoomId && previousRoomId !== roomId) {
+      takePending(previousRoomId, userId).callback({ error: 'Join request replaced' });
+      roomService.removeFromLobby(previousRoomId, userId);
+      publishLobby(previousRoomId);
+    }
+
+    // The user's earlier request for this room, from this or another socket, is replaced
+    const previous = takePending(roomId, userId);
+    if (previous) {
+      previous.callback({ error: 'Join request replaced' });
+    }
+
+    const entry = roomService.addToLobby(roomId, userId, socket.id, socket.user);
+    if (!pendingJoins.has(roomId)) {
+      pendingJoins.set(roomId, new Map());
+    }
+    pendingJoins.get(roomId).set(userId, { socket, callback });
+
+    console.log(`User ${socket.user.name} is waiting in the lobby of room: ${roomId}`);
+
+    socket.emit('lobby:waiting', { roomId });
+    notifyTeachers(roomId, 'lobby:request', entry);
+    publishLobby(roomId);
+  };
+
+  // Admit a waiting user: they receive the normal joinRoom response
+  const admit = async (roomId, userId) => {
+    roomService.removeFromLobby(roomId, userId);
+    const pending = takePending(roomId, userId);
+    if (!pending) return false;
+
+    try {
+      pending.callback(await completeJoin(pending.socket, roomId));
+    } catch (error) {
+      console.error('Error admitting user from lobby:', error);
+      pending.callback({ error: 'Failed to join room' });
+    }
+    return true;
+  };
+
+  // Deny a waiting user
+  const deny = (roomId, userId, reason = 'Entry to the room was denied') => {
+    roomService.removeFromLobby(roomId, userId);
+    const pending = takePending(roomId, userId);
+    if (!pending) return false;
+
+    pending.socket.emit('lobby:denied', { roomId });
+    pending.callback({ error: reason });
+    return true;
+  };
+
+  // The lobby goes with its room: deny everyone still waiting when the room is released
+  roomService.on('roomReleased', (roomId) => {
+    const waiting = pendingJoins.get(roomId);
+    if (!waiting) return;
+
+    for (const userId of Array.from(waiting.keys())) {
+      deny(roomId, userId, 'Room was closed');
+    }
+  });
+
+  // Register lobby events for a connected socket
+  const registerHandlers = (socket) => {
+    // Resolve the calling teacher's room
+    const getTeacherRoom = () => {
+      if (socket.user.role !== 'teacher') {
+        return { error: 'Only teachers can manage the lobby' };
+      }
+      const user = roomService.getUserBySocketId(socket.id);
+      if (!user) {
+        return { error: 'User not found in any room' };
+      }
+      return { roomId: user.roomId };
+    };
+
+    // Handle enabling/disabling the lobby (disabling admits everyone waiting)
+    socket.on('lobby:setEnabled', async (data, callback) => {
+      try {
+        const { enabled } = data;
+        const { roomId, error } = getTeacherRoom();
+        if (error) {
+          return callback({ error });
+        }
+
+        roomService.setLobbyEnabled(roomId, Boolean(enabled));
+        if (!enabled) {
+          for (const entry of roomService.getLobby(roomId)) {
+            await admit(roomId, entry.userId);
+          }
+        }
+
+        callback({ success: true, enabled: Boolean(enabled) });
+        publishLobby(roomId);
+
+      } catch (error) {
+        console.error('Error setting lobby mode:', error);
+        callback({ error: 'Failed to set lobby mode' });
+      }
+    });
+
+    // Handle listing users waiting in the lobby
+    socket.on('lobby:list', (callback) => {
+      try {
+        const { roomId, error } = getTeacherRoom();
+        if (error) {
+          return callback({ error });
+        }
+
+        callback({ success: true, waiting: roomService.getLobby(roomId) });
+
+      } catch (error) {
+        console.error('Error listing lobby:', error);
+        callback({ error: 'Failed to list lobby' });
+      }
+    });
+
+    // Handle admitting one user
+    socket.on('lobby:admit', async (data, callback) => {
+      try {
+        const { userId } = data;
+        const { roomId, error } = getTeacherRoom();
+        if (error) {
+          return callback({ error });
+        }
+
+        if (!(await admit(roomId, userId))) {
+          return callback({ error: 'User is not waiting in the lobby' });
+        }
+
+        callback({ success: true });
+        publishLobby(roomId);
+
+      } catch (error) {
+        console.error('Error admitting user:', error);
+        callback({ error: 'Failed to admit user' });
+      }
+    });
+
+    // Handle denying one user
+    socket.on('lobby:deny', (data, callback) => {
+      try {
+        const { userId } = data;
+        const { roomId, error } = getTeacherRoom();
+        if (error) {
+          return callback({ error });
+        }
+
+        if (!deny(roomId, userId)) {
+          return callback({ error: 'User is not waiting in the lobby' });
+        }
+
+        callback({ success: true });
+        publishLobby(roomId);
+
+      } catch (error) {
+        console.error('Error denying user:', error);
+        callback({ error: 'Failed to deny user' });
+      }
+    });
+
+    // Handle admitting everyone waiting
+    socket.on('lobby:admitAll', async (callback) => {
+      try {
+        const { roomId, error } = getTeacherRoom();
+        if (error) {
+          return callback({ error });
+        }
+
+        let admitted = 0;
+        for (const entry of roomService.getLobby(roomId)) {
+          if (await admit(roomId, entry.userId)) admitted++;
+        }
+
+        callback({ success: true, admitted });
+        publishLobby(roomId);
+
+      } catch (error) {
+        console.error('Error admitting all users:', error);
+        callback({ error: 'Failed to admit users' });
+      }
+    });
+
+    // Handle denying everyone waiting
+    socket.on('lobby:denyAll', (callback) => {
+      try {
+        const { roomId, error } = getTeacherRoom();
+        if (error) {
+          return callback({ error });
+        }
+
+        let denied = 0;
+        for (const entry of roomService.getLobby(roomId)) {
+          if (deny(roomId, entry.userId)) denied++;
+        }
+
+        callback({ success: true, denied });
+        publishLobby(roomId);
+
+      } catch (error) {
+        console.error('Error denying all users:', error);
+        callback({ error: 'Failed to deny users' });
+      }
+    });
+
+    // A waiting user who disconnects leaves the lobby
+    socket.on('disconnect', () => {
+      const roomId = findRoomOfSocket(socket.id);
+      if (!roomId) return;
+
+      takePending(roomId, socket.user.uid);
+      roomService.removeFromLobby(roomId, socket.user.uid);
+      publishLobby(roomId);
+    });
+  };
+
+  return { hold, admit, deny, registerHandlers };
+};
+
+module.exports = createLobby;
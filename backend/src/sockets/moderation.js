@@ -0,0 +1,156 @@
+const roomService = require('../services/roomService');
+
+// Teacher moderation: mute, stop video, remove participant, lock room
+const registerModerationHandlers = (io, socket) => {
+  // Resolve the calling teacher and the targeted participant in the teacher's room
+  const getModerationContext = (targetUserId) => {
+    if (socket.user.role !== 'teacher') {
+      return { error: 'Only teachers can moderate' };
+    }
+
+    const user = roomService.getUserBySocketId(socket.id);
+    if (!user) {
+      return { error: 'User not found in any room' };
+    }
+
+    if (targetUserId === undefined) {
+      return { user };
+    }
+
+    const target = roomService.getParticipant(user.roomId, targetUserId);
+    if (!target) {
+      return { error: 'Participant not found' };
+    }
+    if (target.role === 'teacher') {
+      return { error: 'Cannot moderate a teacher' };
+    }
+
+    return { user, target };
+  };
+
+  // Handle muting a participant's microphone
+  socket.on('moderation:mute', async (data, callback) => {
+    try {
+      const { userId } = data;
+      const { user, target, error } = getModerationContext(userId);
+      if (error) {
+        return callback({ error });
+      }
+
+      // Pausing notifies every consumer through producerPaused
+      for (const producer of target.producers.values()) {
+        if (producer.kind === 'audio' && !producer.paused) {
+          await producer.pause();
+        }
+      }
+
+      console.log(`Teacher ${user.name} muted ${target.name} in room: ${user.roomId}`);
+
+      callback({ success: true });
+
+      io.to(target.socketId).emit('moderation:muted', { by: user.name });
+      io.to(user.roomId).emit('moderation:participantMuted', { userId: target.userId });
+
+    } catch (error) {
+      console.error('Error muting participant:', error);
+      callback({ error: 'Failed to mute participant' });
+    }
+  });
+
+  // Handle stopping a participant's camera/screen share
+  socket.on('moderation:stopVideo', async (data, callback) => {
+    try {
+      const { userId } = data;
+      const { user, target, error } = getModerationContext(userId);
+      if (error) {
+        return callback({ error });
+      }
+
+      const closedProducerIds = [];
+      for (const producer of Array.from(target.producers.values())) {
+        if (producer.kind === 'video') {
+          producer.close();
+          roomService.removeProducer(user.roomId, target.userId, producer.id);
+          closedProducerIds.push(producer.id);
+        }
+      }
+
+      console.log(`Teacher ${user.name} stopped video of ${target.name} in room: ${user.roomId}`);
+
+      callback({ success: true });
+
+      for (const producerId of closedProducerIds) {
+        io.to(user.roomId).emit('producerClosed', { producerId, userId: target.userId });
+      }
+      io.to(target.socketId).emit('moderation:videoStopped', { by: user.name });
+      io.to(user.roomId).emit('moderation:participantVideoStopped', { userId: target.userId });
+
+    } catch (error) {
+      console.error('Error stopping participant video:', error);
+      callback({ error: 'Failed to stop participant video' });
+    }
+  });
+
+  // Handle removing a participant, optionally banning them from rejoining
+  socket.on('moderation:remove', async (data, callback) => {
+    try {
+      const { userId, ban = false } = data;
+      const { user, target, error } = getModerationContext(userId);
+      if (error) {
+        return callback({ error });
+      }
+
+      if (ban) {
+        roomService.banUser(user.roomId, target.userId);
+      }
+
+      // Tell the student first, then take their socket out of the room
+      io.to(target.socketId).emit('moderation:removed', { by: user.name, banned: ban });
+      io.in(target.socketId).socketsLeave(user.roomId);
+
+      const removed = roomService.removeUserFromRoom(target.socketId);
+
+      console.log(`Teacher ${user.name} removed ${target.name} from room: ${user.roomId}${ban ? ' (banned)' : ''}`);
+
+      callback({ success: true });
+
+      if (removed) {
+        io.to(user.roomId).emit('userLeft', {
+          userId: removed.userId,
+          name: removed.name,
+          role: removed.role
+        });
+      }
+      io.to(user.roomId).emit('moderation:participantRemoved', { userId: target.userId, banned: ban });
+
+    } catch (error) {
+      console.error('Error removing participant:', error);
+      callback({ error: 'Failed to remove participant' });
+    }
+  });
+
+  // Handle locking/unlocking the room against new participants
+  socket.on('moderation:lock', (data, callback) => {
+    try {
+      const { locked = true } = data;
+      const { user, error } = getModerationContext();
+      if (error) {
+        return callback({ error });
+      }
+
+      roomService.setRoomLocked(user.roomId, Boolean(locked));
+
+      console.log(`Teacher ${user.name} ${locked ? 'locked' : 'unlocked'} room: ${user.roomId}`);
+
+      callback({ success: true, locked: Boolean(locked) });
+
+      io.to(user.roomId).emit('moderation:roomLocked', { locked: Boolean(locked) });
+
+    } catch (error) {
+      console.error('Error locking room:', error);
+      callback({ error: 'Failed to lock room' });
+    }
+  });
+};
+
+module.exports = registerModerationHandlers;
@@ -0,0 +1,154 @@
+const roomService = require('../services/roomService');
+const pollService = require('../services/pollService');
+
+// In-class polls and quizzes: teachers run them, students answer once,
+// teachers see live results and decide when students see them.
+const createPolls = (io) => {
+  // Send to every teacher in the room
+  const notifyTeachers = (roomId, event, payload) => {
+    for (const teacher of roomService.getRoomTeachers(roomId)) {
+      io.to(teacher.socketId).emit(event, payload);
+    }
+  };
+
+  const publishResults = (poll) => {
+    notifyTeachers(poll.roomId, 'poll:results', { pollId: poll.id, ...pollService.getResults(poll) });
+  };
+
+  // Polls also end on their own when a quiz runs out of time
+  pollService.on('pollEnded', (roomId, poll) => {
+    io.to(roomId).emit('poll:ended', { pollId: poll.id, endedAt: poll.endedAt });
+    publishResults(poll);
+  });
+
+  const registerHandlers = (socket) => {
+    // Resolve the calling teacher's room
+    const getTeacherUser = () => {
+      if (socket.user.role !== 'teacher') {
+        return { error: 'Only teachers can run polls' };
+      }
+      const user = roomService.getUserBySocketId(socket.id);
+      if (!user) {
+        return { error: 'User not found in any room' };
+      }
+      return { user };
+    };
+
+    // Handle starting a poll or quiz
+    socket.on('poll:start', async (data, callback) => {
+      try {
+        const { user, error } = getTeacherUser();
+        if (error) {
+          return callback({ error });
+        }
+
+        if (pollService.getActivePoll(user.roomId)) {
+          return callback({ error: 'A poll is already running in this room' });
+        }
+
+        const validation = pollService.validate(data);
+        if (validation.error) {
+          return callback({ error: validation.error });
+        }
+
+        const room = roomService.getRoom(user.roomId);
+        const poll = await pollService.start(user.roomId, room.sessionId, validation.definition, {
+          userId: user.userId,
+          name: user.name
+        }, roomService.getRoomTeachers(user.roomId).map(teacher => teacher.userId));
+
+        console.log(`Teacher ${user.name} started ${poll.type} ${poll.id} in room: ${user.roomId}`);
+
+        callback({ success: true, poll: { ...pollService.getPublicView(poll), correctOption: poll.correctOption } });
+
+        io.to(user.roomId).emit('poll:started', pollService.getPublicView(poll));
+
+      } catch (error) {
+        console.error('Error starting poll:', error);
+        callback({ error: 'Failed to start poll' });
+      }
+    });
+
+    // Handle a student's answer (one per student)
+    socket.on('poll:answer', (data, callback) => {
+      try {
+        const { pollId, option } = data;
+        const user = roomService.getUserBySocketId(socket.id);
+
+        if (!user) {
+          return callback({ error: 'User not found in any room' });
+        }
+        if (user.role === 'teacher') {
+          return callback({ error: 'Teachers cannot answer polls' });
+        }
+
+        const { poll, error } = pollService.answer(user.roomId, pollId, user, option);
+        if (error) {
+          return callback({ error });
+        }
+
+        callback({ success: true });
+
+        publishResults(poll);
+
+      } catch (error) {
+        console.error('Error answering poll:', error);
+        callback({ error: 'Failed to submit answer' });
+      }
+    });
+
+    // Handle ending the running poll
+    socket.on('poll:end', async (callback) => {
+      try {
+        const { user, error } = getTeacherUser();
+        if (error) {
+          return callback({ error });
+        }
+
+        // poll:ended is broadcast through the pollEnded event
+        const poll = await pollService.end(user.roomId);
+        if (!poll) {
+          return callback({ error: 'No poll is running' });
+        }
+
+        console.log(`Teacher ${user.name} ended poll ${poll.id} in room: ${user.roomId}`);
+
+        callback({ success: true, pollId: poll.id, results: pollService.getResults(poll) });
+
+      } catch (error) {
+        console.error('Error ending poll:', error);
+        callback({ error: 'Failed to end poll' });
+      }
+    });
+
+    // Handle revealing results (and a quiz's correct option) to students
+    socket.on('poll:reveal', (data, callback) => {
+      try {
+        const { pollId } = data;
+        const { user, error } = getTeacherUser();
+        if (error) {
+          return callback({ error });
+        }
+
+        const poll = pollService.findPoll(user.roomId, pollId);
+        if (!poll) {
+          return callback({ error: 'Poll not found' });
+        }
+
+        pollService.reveal(poll);
+
+        callback({ success: true });
+
+        io.to(user.roomId).emit('poll:revealed', { pollId: poll.id, ...pollService.getResults(poll) });
+
+      } catch (error) {
+        console.error('Error revealing poll results:', error);
+        callback({ error: 'Failed to reveal results' });
+      }
+    });
+  };
+
+  return { registerHandlers };
+};
+
+module.exports = createPolls;
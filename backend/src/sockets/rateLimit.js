@@ -0,0 +1,130 @@
+const metricsService = require('../services/metricsService');
+
+// Token buckets per event: up to `burst` requests at once, refilled at `rate` requests per second.
+// Each socket has its own buckets and each user has another set shared by all their sockets,
+// so reconnecting does not reset a user's budget.
+const defaultLimit = { burst: 20, rate: 10 };
+const eventLimits = {
+  createRoom: { burst: 3, rate: 0.1 },
+  joinRoom: { burst: 5, rate: 0.2 },
+  resumeSession: { burst: 5, rate: 0.2 },
+  createWebRtcTransport: { burst: 6, rate: 0.5 },
+  connectTransport: { burst: 6, rate: 0.5 },
+  produce: { burst: 6, rate: 0.5 },
+  produceData: { burst: 10, rate: 1 },
+  // Joining a large class consumes every existing producer at once
+  consume: { burst: 100, rate: 20 },
+  consumeData: { burst: 100, rate: 20 },
+  'chat:message': { burst: 5, rate: 1 },
+  'chat:private': { burst: 5, rate: 1 },
+  'breakout:broadcast': { burst: 3, rate: 0.2 },
+  'hand:raise': { burst: 3, rate: 0.2 },
+  'recording:start': { burst: 2, rate: 0.1 },
+  'live:start': { burst: 2, rate: 0.1 },
+  'poll:start': { burst: 3, rate: 0.2 },
+  // Drawing sends a stream of small updates
+  'whiteboard:op': { burst: 60, rate: 30 }
+};
+
+// Clients refused this many times within the window are disconnected
+const maxViolations = parseInt(process.env.RATE_LIMIT_MAX_VIOLATIONS) || 20;
+const violationWindowMs = parseInt(process.env.RATE_LIMIT_VIOLATION_WINDOW_MS) || 60000;
+
+// Users idle this long are forgotten (their buckets would be full again anyway)
+const userIdleMs = 5 * 60 * 1000;
+
+class TokenBucket {
+  constructor({ burst, rate }, now = Date.now()) {
+    this.capacity = burst;
+    this.rate = rate;
+    this.tokens = burst;
+    this.updatedAt = now;
+  }
+
+  // Take one token; false when the bucket is empty
+  take(now = Date.now()) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+    this.updatedAt = now;
+    if (this.tokens < 1) {
+      return false;
+    }
+    this.tokens -= 1;
+    return true;
+  }
+}
+
+const takeToken = (buckets, event, now) => {
+  if (!buckets.has(event)) {
+    buckets.set(event, new TokenBucket(eventLimits[event] || defaultLimit, now));
+  }
+  return buckets.get(event).take(now);
+};
+
+// Signaling abuse protection: per-event rate limits and disconnection of repeat violators
+const createRateLimiter = () => {
+  const users = new Map(); // userId -> { buckets, violations, lastSeen }
+
+  const getUserState = (userId, now) => {
+    if (!users.has(userId)) {
+      users.set(userId, { buckets: new Map(), violations: [], lastSeen: now });
+    }
+    const state = users.get(userId);
+    state.lastSeen = now;
+    return state;
+  };
+
+  const pruneTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [userId, state] of users) {
+      if (now - state.lastSeen > userIdleMs) {
+        users.delete(userId);
+      }
+    }
+  }, userIdleMs);
+  pruneTimer.unref();
+
+  // Log a refused request and disconnect the socket once its user keeps misbehaving.
+  // type is 'rate_limit' or 'participant_limit'.
+  const recordViolation = (socket, event, type, reason) => {
+    const now = Date.now();
+    const state = getUserState(socket.user.uid, now);
+    state.violations = state.violations.filter(at => now - at < violationWindowMs);
+    state.violations.push(now);
+
+    metricsService.recordSignalingViolation(event, type);
+    console.warn(`Signaling violation by ${socket.user.name} (${socket.user.uid}, socket ${socket.id}): ${event} - ${reason} [${state.violations.length}/${maxViolations}]`);
+
+    if (state.violations.length >= maxViolations && socket.connected) {
+      console.warn(`Disconnecting ${socket.user.name} (${socket.user.uid}, socket ${socket.id}) after ${state.violations.length} violations`);
+      state.violations = [];
+      socket.emit('rateLimit:disconnected', { reason: 'Too many refused requests' });
+      socket.disconnect(true);
+    }
+  };
+
+  const registerHandlers = (socket) => {
+    const socketBuckets = new Map(); // event -> TokenBucket
+
+    socket.use((packet, next) => {
+      // Unregistered events share one bucket so arbitrary names cannot grow the maps
+      const event = socket.listenerCount(packet[0]) > 0 ? packet[0] : 'unknown';
+      const now = Date.now();
+      const userState = getUserState(socket.user.uid, now);
+
+      if (takeToken(socketBuckets, event, now) && takeToken(userState.buckets, event, now)) {
+        return next();
+      }
+
+      const ack = packet[packet.length - 1];
+      if (packet.length > 1 && typeof ack === 'function') {
+        ack({ error: 'Too many requests, please slow down' });
+      }
+      recordViolation(socket, event, 'rate_limit', 'rate limit exceeded');
+    });
+  };
+
+  return { registerHandlers, recordViolation };
+};
+
+module.exports = createRateLimiter;
+module.exports.TokenBucket = TokenBucket;
@@ -0,0 +1,104 @@
+const roomService = require('../services/roomService');
+const recordingService = require('../services/recordingService');
+
+// Teacher-triggered server-side recording
+const registerRecordingHandlers = (io, socket) => {
+  // Resolve the calling teacher's room
+  const getTeacherUser = () => {
+    if (socket.user.role !== 'teacher') {
+      return { error: 'Only teachers can record' };
+    }
+    const user = roomService.getUserBySocketId(socket.id);
+    if (!user) {
+      return { error: 'User not found in any room' };
+    }
+    return { user };
+  };
+
+  // Handle starting a recording
+  socket.on('recording:start', async (callback) => {
+    try {
+      const { user, error } = getTeacherUser();
+      if (error) {
+        return callback({ error });
+      }
+
+      if (recordingService.isRecording(user.roomId)) {
+        return callback({ error: 'Recording already in progress' });
+      }
+
+      // Record every producer currently in the room
+      const producers = [];
+      for (const participant of roomService.getRoomParticipants(user.roomId)) {
+        for (const producer of participant.producers.values()) {
+          producers.push({
+            producerId: producer.id,
+            userId: participant.userId,
+            userName: participant.name,
+            kind: producer.kind,
+            routerId: participant.routerId
+          });
+        }
+      }
+
+      const status = await recordingService.start(user.roomId, {
+        startedBy: { userId: user.userId, name: user.name },
+        producers,
+        teacherIds: roomService.getRoomTeachers(user.roomId).map(teacher => teacher.userId)
+      });
+
+      console.log(`Teacher ${user.name} started recording room: ${user.roomId}`);
+
+      callback({ success: true, ...status });
+
+      io.to(user.roomId).emit('recording:status', status);
+
+    } catch (error) {
+      console.error('Error starting recording:', error);
+      callback({ error: 'Failed to start recording' });
+    }
+  });
+
+  // Handle stopping a recording
+  socket.on('recording:stop', async (callback) => {
+    try {
+      const { user, error } = getTeacherUser();
+      if (error) {
+        return callback({ error });
+      }
+
+      const manifest = await recordingService.stop(user.roomId);
+      if (!manifest) {
+        return callback({ error: 'Room is not being recorded' });
+      }
+
+      console.log(`Teacher ${user.name} stopped recording room: ${user.roomId}`);
+
+      callback({ success: true, recording: manifest });
+
+      io.to(user.roomId).emit('recording:status', recordingService.getStatus(user.roomId));
+
+    } catch (error) {
+      console.error('Error stopping recording:', error);
+      callback({ error: 'Failed to stop recording' });
+    }
+  });
+
+  // Handle recording status request
+  socket.on('recording:status', (callback) => {
+    try {
+      const user = roomService.getUserBySocketId(socket.id);
+      if (!user) {
+        return callback({ error: 'User not found in any room' });
+      }
+
+      callback({ success: true, ...recordingService.getStatus(user.roomId) });
+
+    } catch (error) {
+      console.error('Error getting recording status:', error);
+      callback({ error: 'Failed to get recording status' });
+    }
+  });
+};
+
+module.exports = registerRecordingHandlers;
@@ -0,0 +1,169 @@
+const { roomIdPattern, anyRoomIdPattern } = require('../services/roomIds');
+
+// Payload schemas of every client-to-server signaling event (see validation.js for the rule format).
+// `payload: null` marks events that take only an acknowledgement callback.
+
+const maxTextLength = 2000;
+
+// Same default as the breakout handlers
+const maxBreakoutRooms = parseInt(process.env.BREAKOUT_MAX_ROOMS) || 20;
+
+// Identifiers: mediasoup and message ids are UUIDs, user ids are Firebase uids.
+// New rooms take the same IDs as the REST API; existing rooms may also be breakout rooms.
+const id = { type: 'string', required: true, minLength: 1, maxLength: 128 };
+const newRoomId = { type: 'string', required: true, pattern: roomIdPattern };
+const roomId = { type: 'string', required: true, pattern: anyRoomIdPattern };
+const userId = id;
+
+// mediasoup parameter objects are validated by mediasoup itself; only their shape is checked here
+const params = { type: 'object', required: true };
+
+const text = { type: 'string', required: true, maxLength: maxTextLength };
+
+const noPayload = { payload: null };
+
+const eventSchemas = {
+  // Rooms and sessions
+  createRoom: { payload: { roomId: newRoomId, lobby: { type: 'boolean' } } },
+  joinRoom: { payload: { roomId } },
+  resumeSession: { payload: { resumeToken: id } },
+  leaveRoom: noPayload,
+
+  // Media
+  setRtpCapabilities: { payload: { rtpCapabilities: params } },
+  createWebRtcTransport: { payload: { screenShare: { type: 'boolean' } } },
+  connectTransport: { payload: { transportId: id, dtlsParameters: params } },
+  produce: {
+    payload: {
+      transportId: id,
+      kind: { enum: ['audio', 'video'], required: true },
+      rtpParameters: params,
+      appData: { type: 'object' }
+    }
+  },
+  consume: {
+    payload: {
+      transportId: id,
+      producerId: id,
+      rtpCapabilities: params,
+      preferredLayers: { type: 'object' }
+    }
+  },
+  resumeConsumer: { payload: { consumerId: id } },
+  pauseConsumer: { payload: { consumerId: id } },
+  setConsumerPreferredLayers: {
+    payload: {
+      consumerId: id,
+      spatialLayer: { type: 'integer', required: true, min: 0, max: 15 },
+      temporalLayer: { type: 'integer', min: 0, max: 15 }
+    }
+  },
+  setConsumerPriority: { payload: { consumerId: id, priority: { type: 'integer', required: true, min: 1, max: 255 } } },
+  closeProducer: { payload: { producerId: id } },
+  pauseProducer: { payload: { producerId: id } },
+  resumeProducer: { payload: { producerId: id } },
+  getProducers: noPayload,
+
+  // Data channels
+  produceData: {
+    payload: {
+      transportId: id,
+      sctpStreamParameters: { type: 'object' },
+      label: { type: 'string', maxLength: 256 },
+      protocol: { type: 'string', maxLength: 256 },
+      appData: { type: 'object' }
+    }
+  },
+  consumeData: { payload: { transportId: id, dataProducerId: id } },
+  closeDataProducer: { payload: { dataProducerId: id } },
+  closeDataConsumer: { payload: { dataConsumerId: id } },
+  getDataProducers: noPayload,
+
+  // Moderation
+  'moderation:mute': { payload: { userId } },
+  'moderation:stopVideo': { payload: { userId } },
+  'moderation:remove': { payload: { userId, ban: { type: 'boolean' } } },
+  'moderation:lock': { payload: { locked: { type: 'boolean' } } },
+
+  // Waiting room
+  'lobby:setEnabled': { payload: { enabled: { type: 'boolean', required: true } } },
+  'lobby:list': noPayload,
+  'lobby:admit': { payload: { userId } },
+  'lobby:deny': { payload: { userId } },
+  'lobby:admitAll': noPayload,
+  'lobby:denyAll': noPayload,
+
+  // Raise-hand queue
+  'hand:raise': noPayload,
+  'hand:lower': noPayload,
+  'hand:grant': { payload: { userId, allowAudio: { type: 'boolean' } } },
+  'hand:dismiss': { payload: { userId } },
+  'hand:requireGrant': { payload: { required: { type: 'boolean', required: true } } },
+
+  // Recording and live broadcast
+  'recording:start': noPayload,
+  'recording:stop': noPayload,
+  'recording:status': noPayload,
+  'live:start': { payload: { mode: { enum: ['hls', 'rtmp'] } } },
+  'live:stop': noPayload,
+  'live:status': noPayload,
+
+  // Chat
+  'chat:message': { payload: { text } },
+  'chat:private': { payload: { toUserId: userId, text } },
+  'chat:history': {
+    payload: {
+      before: { type: 'string', maxLength: 128 },
+      limit: { type: 'integer', min: 1 }
+    }
+  },
+  'chat:delete': { payload: { messageId: id } },
+  'chat:mute': { payload: { userId, muted: { type: 'boolean' } } },
+
+  // Whiteboard (elements are sanitized by the whiteboard itself)
+  'whiteboard:op': {
+    payload: {
+      type: { enum: ['add', 'update', 'delete'], required: true },
+      element: { type: 'object' },
+      id: { type: 'string', maxLength: 128 },
+      changes: { type: 'object' }
+    }
+  },
+  'whiteboard:clear': noPayload,
+  'whiteboard:lock': { payload: { locked: { type: 'boolean', required: true } } },
+  'whiteboard:snapshot': noPayload,
+
+  // Polls and quizzes (limits are enforced by the poll service)
+  'poll:start': {
+    payload: {
+      type: { enum: ['poll', 'quiz'] },
+      question: { type: 'string', required: true },
+      options: { type: 'array', required: true, items: { type: 'string' } },
+      correctOption: { type: 'integer' },
+      durationSeconds: { type: 'integer' }
+    }
+  },
+  'poll:answer': { payload: { pollId: id, option: { type: 'integer', required: true } } },
+  'poll:end': noPayload,
+  'poll:reveal': { payload: { pollId: id } },
+
+  // Breakout rooms
+  'breakout:create': {
+    payload: {
+      count: { type: 'integer', min: 1, max: maxBreakoutRooms },
+      names: { type: 'array', maxItems: maxBreakoutRooms, items: { type: 'string', maxLength: 100 } },
+      assignments: { type: ['string', 'object'] }
+    }
+  },
+  'breakout:assign': { payload: { userId, roomId } },
+  'breakout:visit': { payload: { roomId } },
+  'breakout:broadcast': { payload: { text } },
+  'breakout:close': { payload: { countdownSeconds: { type: 'integer', min: 0 } } },
+  'breakout:list': noPayload,
+
+  // Bandwidth policy (profiles and limits are checked by the bandwidth policy module)
+  'bandwidth:get': noPayload,
+  'bandwidth:update': { payload: { policy: params } }
+};
+
+module.exports = eventSchemas;
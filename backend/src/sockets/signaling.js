@@ -1,14 +1,49 @@
-const { getRouter, createWebRtcTransport, getRouterRtpCapabilities } = require('../config/mediasoup');
+const {
+  createRouter,
+  getRouter,
+  pipeProducerToRouter,
+  pipeDataProducerToRouter,
+  closeRouter,
+  createWebRtcTransport,
+  getRouterRtpCapabilities,
+  mediasoupEvents
+} = require('../config/mediasoup');
 const roomService = require('../services/roomService');
+const audioObserverService = require('../services/audioObserverService');
+const recordingService = require('../services/recordingService');
+const egressService = require('../services/egressService');
+const chatService = require('../services/chatService');
+const registerModerationHandlers = require('./moderation');
+const createLobby = require('./lobby');
+const registerHandHandlers = require('./hands');
+const registerRecordingHandlers = require('./recording');
+const registerLiveHandlers = require('./live');
+const registerChatHandlers = require('./chat');
+const registerWhiteboardHandlers = require('./whiteboard');
+const createPolls = require('./polls');
+const createBreakouts = require('./breakout');
+const registerBandwidthHandlers = require('./bandwidth');
+const eventSchemas = require('./schemas');
+const { createPacketValidator } = require('./validation');
+const createRateLimiter = require('./rateLimit');
+const pollService = require('../services/pollService');
+const metricsService = require('../services/metricsService');
+const networkQualityService = require('../services/networkQualityService');
 const { verifyIdToken, getFirestore } = require('../config/firebase');
 const db = getFirestore();
 
+// How long a disconnected participant is kept before being removed (0 removes immediately)
+const reconnectGracePeriodMs = process.env.RECONNECT_GRACE_PERIOD_MS !== undefined
+  ? parseInt(process.env.RECONNECT_GRACE_PERIOD_MS) || 0
+  : 30000;
+
 const setupSignaling = (io) => {
   // Middleware for Socket.IO authentication
   io.use(async (socket, next) => {
     try {
       const token = socket.handshake.auth.token;
       if (!token) {
+        metricsService.recordAuthFailure('missing_token');
         return next(new Error('No authentication token provided'));
       }
 
@@ -18,6 +53,7 @@ const setupSignaling = (io) => {
       // Get user profile from Firestore
       const userDoc = await db.collection('users').doc(decodedToken.uid).get();
       if (!userDoc.exists) {
+        metricsService.recordAuthFailure('profile_not_found');
         return next(new Error('User profile not found'));
       }
 
@@ -33,38 +69,195 @@ const setupSignaling = (io) => {
       next();
     } catch (error) {
       console.error('Socket authentication error:', error);
+      metricsService.recordAuthFailure('invalid_token');
       next(new Error('Authentication failed'));
     }
   });
 
+  // A mediasoup worker died: the room's transports, producers and consumers are gone
+  mediasoupEvents.on('routerFailed', (roomId) => {
+    console.warn(`Media for room ${roomId} failed, rebuilding on a healthy worker`);
+    roomService.markRoomFailed(roomId);
+    io.to(roomId).emit('mediaFailed', { roomId });
+  });
+
+  // The room's router was rebuilt: clients must recreate transports, producers and consumers
+  mediasoupEvents.on('routerRecreated', async (roomId) => {
+    try {
+      if (!roomService.roomExists(roomId)) {
+        closeRouter(roomId);
+        return;
+      }
+
+      await roomService.markRoomRecovered(roomId);
+      await audioObserverService.attachToRoom(roomId);
+      io.to(roomId).emit('mediaReset', {
+        roomId,
+        rtpCapabilities: getRouterRtpCapabilities(roomId)
+      });
+    } catch (error) {
+      console.error(`Error recovering room ${roomId}:`, error);
+    }
+  });
+
+  // Speaker detection: resolve producers to users before notifying the room
+  audioObserverService.on('activeSpeaker', (roomId, producerId) => {
+    const owner = roomService.findProducerOwner(roomId, producerId);
+    if (!owner) return;
+
+    io.to(roomId).emit('activeSpeaker', {
+      userId: owner.userId,
+      name: owner.name,
+      producerId
+    });
+  });
+
+  audioObserverService.on('audioLevels', (roomId, volumes) => {
+    const levels = [];
+    for (const { producerId, volume } of volumes) {
+      const owner = roomService.findProducerOwner(roomId, producerId);
+      if (owner) {
+        levels.push({ userId: owner.userId, producerId, volume });
+      }
+    }
+
+    io.to(roomId).emit('audioLevels', { levels });
+  });
+
+  // Live broadcasts also stop on their own when their sources or the room close
+  egressService.on('stopped', (roomId) => {
+    io.to(roomId).emit('live:status', egressService.getStatus(roomId));
+  });
+
+  // Each participant gets their own network quality; teachers get the whole roster
+  networkQualityService.on('report', (roomId, reports) => {
+    for (const report of reports) {
+      const participant = roomService.getParticipant(roomId, report.userId);
+      if (participant) {
+        io.to(participant.socketId).emit('networkQuality', report);
+      }
+    }
+
+    const roster = reports.map(({ userId, name, role, score, level, upstream, downstream }) => ({
+      userId, name, role, score, level, upstream, downstream
+    }));
+    for (const teacher of roomService.getRoomTeachers(roomId)) {
+      io.to(teacher.socketId).emit('networkQuality:roster', { roomId, participants: roster });
+    }
+  });
+  networkQualityService.start();
+
+  // Add a socket's user to a room and build the joinRoom response
+  const completeJoin = async (socket, roomId) => {
+    // Join socket room
+    socket.join(roomId);
+    
+    // Add user to room and spread them over the room's routers
+    const participant = roomService.addUserToRoom(roomId, socket.user.uid, socket.id, socket.user);
+    await roomService.assignRouter(roomId, socket.user.uid);
+
+    console.log(`User ${socket.user.name} joined room: ${roomId}`);
+
+    // Teachers joining mid-recording or mid-poll may access the recording and poll results too
+    if (socket.user.role === 'teacher') {
+      recordingService.addTeacher(roomId, socket.user.uid);
+      pollService.addTeacher(roomId, socket.user.uid);
+    }
+
+    // Get existing producers to consume
+    const existingProducers = await roomService.listRoomProducers(roomId, socket.user.uid);
+
+    // Recent chat so late joiners see the conversation
+    let chatHistory = { messages: [], nextCursor: null };
+    try {
+      chatHistory = await chatService.getRecentMessages(roomId);
+    } catch (error) {
+      console.error('Error loading chat history:', error);
+    }
+
+    // Notify others in room
+    socket.to(roomId).emit('userJoined', {
+      userId: socket.user.uid,
+      name: socket.user.name,
+      role: socket.user.role
+    });
+
+    const activePoll = pollService.getActivePoll(roomId);
+    const mainRoomId = roomService.getMainRoomId(roomId);
+
+    return {
+      success: true,
+      roomId,
+      rtpCapabilities: getRouterRtpCapabilities(roomId),
+      existingProducers,
+      existingDataProducers: roomService.getRoomDataProducers(roomId, socket.user.uid),
+      handQueue: roomService.getHandQueue(roomId),
+      recording: recordingService.getStatus(roomId),
+      live: egressService.getStatus(roomId),
+      chatHistory,
+      chatMutedUsers: roomService.getChatMutedUsers(roomId),
+      whiteboard: roomService.getWhiteboard(roomId).getSnapshot(),
+      activePoll: activePoll ? pollService.getPublicView(activePoll) : null,
+      mainRoomId,
+      breakoutRooms: roomService.getBreakoutRooms(mainRoomId),
+      resumeToken: participant.resumeToken
+    };
+  };
+
+  const validatePacket = createPacketValidator(eventSchemas);
+  const rateLimiter = createRateLimiter();
+  const lobby = createLobby(io, completeJoin);
+  const polls = createPolls(io);
+  const breakouts = createBreakouts(io, completeJoin);
+
   io.on('connection', (socket) => {
     console.log(`User connected: ${socket.user.name} (${socket.user.role}) - Socket ID: ${socket.id}`);
 
+    // Count every incoming event and time its acknowledgement
+    socket.use((packet, next) => {
+      metricsService.observeSignalingEvent(packet, socket.listenerCount(packet[0]) > 0);
+      next();
+    });
+
+    // Refuse floods of requests and disconnect clients that keep sending them
+    rateLimiter.registerHandlers(socket);
+
+    // Reject malformed payloads before they reach a handler and make acknowledgements optional
+    socket.use(validatePacket);
+
     // Handle room creation (teacher only)
     socket.on('createRoom', async (data, callback) => {
       try {
-        const { roomId } = data;
+        const { roomId, lobby: lobbyEnabled = false } = data;
 
         if (socket.user.role !== 'teacher') {
           return callback({ error: 'Only teachers can create rooms' });
         }
 
         // Simple room creation without schedule verification
-        // Create room in room service
+        // Place the room's router on the least-loaded worker, then create room in room service
+        await createRouter(roomId);
+        await audioObserverService.attachToRoom(roomId);
         roomService.createRoom(roomId);
+        if (lobbyEnabled) {
+          roomService.setLobbyEnabled(roomId, true);
+        }
         
         // Join socket room
         socket.join(roomId);
         
         // Add user to room
-        roomService.addUserToRoom(roomId, socket.user.uid, socket.id, socket.user);
+        const participant = roomService.addUserToRoom(roomId, socket.user.uid, socket.id, socket.user);
+        await roomService.assignRouter(roomId, socket.user.uid);
 
         console.log(`Teacher ${socket.user.name} created room: ${roomId}`);
 
         callback({ 
           success: true,
           roomId,
-          rtpCapabilities: getRouterRtpCapabilities()
+          rtpCapabilities: getRouterRtpCapabilities(roomId),
+          lobbyEnabled: roomService.isLobbyEnabled(roomId),
+          resumeToken: participant.resumeToken
         });
 
         // Notify others in room
@@ -85,35 +278,34 @@ const setupSignaling = (io) => {
       try {
         const { roomId } = data;
 
-        // Check if room exists
-        if (!roomService.roomExists(roomId)) {
+        // Check if room exists (it may have been created on another instance)
+        if (!(await roomService.isRoomActive(roomId))) {
           return callback({ error: 'Room does not exist' });
         }
 
-        // Join socket room
-        socket.join(roomId);
-        
-        // Add user to room
-        roomService.addUserToRoom(roomId, socket.user.uid, socket.id, socket.user);
+        // Students only enter breakout rooms when a teacher assigns them
+        const room = roomService.getRoom(roomId);
+        if (room && room.parentRoomId && socket.user.role !== 'teacher') {
+          return callback({ error: 'Breakout rooms are joined by teacher assignment' });
+        }
 
-        console.log(`User ${socket.user.name} joined room: ${roomId}`);
+        // Locked rooms and banned users are enforced by the teacher's moderation
+        const access = roomService.canJoinRoom(roomId, socket.user.uid, socket.user.role);
+        if (!access.allowed) {
+          return callback({ error: access.reason });
+        }
 
-        // Get existing producers to consume
-        const existingProducers = roomService.getRoomProducers(roomId, socket.user.uid);
+        // Make sure this instance has a router and local state for the room
+        await createRouter(roomId);
+        await audioObserverService.attachToRoom(roomId);
+        roomService.createRoom(roomId);
 
-        callback({ 
-          success: true,
-          roomId,
-          rtpCapabilities: getRouterRtpCapabilities(),
-          existingProducers
-        });
+        // Rooms with a lobby hold students until a teacher admits them (the callback is answered then)
+        if (roomService.isLobbyEnabled(roomId) && socket.user.role !== 'teacher') {
+          return lobby.hold(socket, roomId, callback);
+        }
 
-        // Notify others in room
-        socket.to(roomId).emit('userJoined', {
-          userId: socket.user.uid,
-          name: socket.user.name,
-          role: socket.user.role
-        });
+        callback(await completeJoin(socket, roomId));
 
       } catch (error) {
         console.error('Error joining room:', error);
@@ -121,6 +313,39 @@ const setupSignaling = (io) => {
       }
     });
 
+    // Handle session resumption after a reconnect (within the grace period)
+    socket.on('resumeSession', async (data, callback) => {
+      try {
+        const { resumeToken } = data;
+
+        const resumed = roomService.resumeUser(resumeToken, socket.user.uid, socket.id);
+        if (!resumed) {
+          return callback({ error: 'Session expired or invalid resume token' });
+        }
+
+        const { user, participant } = resumed;
+        socket.join(user.roomId);
+
+        console.log(`User ${user.name} resumed session in room: ${user.roomId}`);
+
+        // Transports, producers and consumers survive the socket reconnect
+        callback({
+          success: true,
+          roomId: user.roomId,
+          rtpCapabilities: getRouterRtpCapabilities(user.roomId),
+          existingProducers: await roomService.listRoomProducers(user.roomId, user.userId),
+          transportIds: Array.from(participant.transports.keys()),
+          producerIds: Array.from(participant.producers.keys()),
+          consumerIds: Array.from(participant.consumers.keys()),
+          resumeToken: participant.resumeToken
+        });
+
+      } catch (error) {
+        console.error('Error resuming session:', error);
+        callback({ error: 'Failed to resume session' });
+      }
+    });
+
     // Handle WebRTC transport creation
     socket.on('createWebRtcTransport', async (data, callback) => {
       try {
@@ -129,7 +354,21 @@ const setupSignaling = (io) => {
           return callback({ error: 'User not found in any room' });
         }
 
-        const { transport, params } = await createWebRtcTransport();
+        const limit = roomService.checkParticipantLimit(user.roomId, user.userId, 'transports');
+        if (!limit.allowed) {
+          rateLimiter.recordViolation(socket, 'createWebRtcTransport', 'participant_limit', limit.reason);
+          return callback({ error: limit.reason });
+        }
+
+        // Screen share transports are held to the screen share budget as well as the role's
+        const participant = roomService.getParticipant(user.roomId, user.userId);
+        const screenShare = !!data.screenShare;
+        const { transport, params } = await createWebRtcTransport(
+          user.roomId,
+          participant.routerId,
+          roomService.getTransportLimits(user.roomId, user.role, { screenShare }),
+          { screenShare }
+        );
         
         // Store transport in room service
         roomService.addTransport(user.roomId, user.userId, transport);
@@ -180,11 +419,21 @@ const setupSignaling = (io) => {
           return callback({ error: 'User not found in any room' });
         }
 
+        const limit = roomService.checkParticipantLimit(user.roomId, user.userId, 'producers');
+        if (!limit.allowed) {
+          rateLimiter.recordViolation(socket, 'produce', 'participant_limit', limit.reason);
+          return callback({ error: limit.reason });
+        }
+
         const transport = roomService.getTransport(user.roomId, user.userId, transportId);
         if (!transport) {
           return callback({ error: 'Transport not found' });
         }
 
+        if (kind === 'audio' && !roomService.canProduceAudio(user.roomId, user.userId)) {
+          return callback({ error: 'Raise your hand and wait for the teacher to grant you a turn' });
+        }
+
         const producer = await transport.produce({
           kind,
           rtpParameters,
@@ -194,20 +443,49 @@ const setupSignaling = (io) => {
         // Store producer in room service
         roomService.addProducer(user.roomId, user.userId, producer);
 
-        console.log(`Producer created: ${producer.id} (${kind}) by ${user.name}`);
+        // Feed audio into the room's speaker detection
+        if (producer.kind === 'audio') {
+          const participant = roomService.getParticipant(user.roomId, user.userId);
+          audioObserverService.addProducer(user.roomId, producer.id, participant.routerId)
+            .catch(error => console.error('Error observing audio producer:', error));
+        }
+
+        // Producers started mid-recording are recorded too
+        if (recordingService.isRecording(user.roomId)) {
+          const participant = roomService.getParticipant(user.roomId, user.userId);
+          recordingService.addProducer(user.roomId, {
+            producerId: producer.id,
+            userId: user.userId,
+            userName: user.name,
+            kind: producer.kind,
+            routerId: participant.routerId
+          }).catch(error => console.error('Error recording producer:', error));
+        }
+
+        // The producer goes away with its transport (e.g. DTLS closed)
+        producer.on('transportclose', () => {
+          roomService.removeProducer(user.roomId, user.userId, producer.id);
+          io.to(user.roomId).emit('producerClosed', {
+            producerId: producer.id,
+            userId: user.userId
+          });
+        });
+
+        console.log(`Producer created: ${producer.id} (${kind}, ${producer.type}) by ${user.name}`);
 
         callback({ 
           success: true,
           id: producer.id
         });
 
-        // Notify other users about new producer
-        socket.to(user.roomId).emit('newProducer', {
+        // Notify other users about new producer (only those on this instance can consume it)
+        socket.to(user.roomId).local.emit('newProducer', {
           userId: user.userId,
           userName: user.name,
           userRole: user.role,
           producerId: producer.id,
-          kind
+          kind,
+          type: producer.type
         });
 
       } catch (error) {
@@ -219,19 +497,34 @@ const setupSignaling = (io) => {
     // Handle consumer creation
     socket.on('consume', async (data, callback) => {
       try {
-        const { transportId, producerId, rtpCapabilities } = data;
+        const { transportId, producerId, rtpCapabilities, preferredLayers } = data;
         const user = roomService.getUserBySocketId(socket.id);
         
         if (!user) {
           return callback({ error: 'User not found in any room' });
         }
 
+        const limit = roomService.checkParticipantLimit(user.roomId, user.userId, 'consumers');
+        if (!limit.allowed) {
+          rateLimiter.recordViolation(socket, 'consume', 'participant_limit', limit.reason);
+          return callback({ error: limit.reason });
+        }
+
         const transport = roomService.getTransport(user.roomId, user.userId, transportId);
         if (!transport) {
           return callback({ error: 'Transport not found' });
         }
 
-        const router = getRouter();
+        // Producers living on another router of the room are piped to this participant's router first
+        const participant = roomService.getParticipant(user.roomId, user.userId);
+        const owner = roomService.findProducerOwner(user.roomId, producerId);
+        if (!owner) {
+          return callback({ error: 'Producer not found' });
+        }
+
+        await pipeProducerToRouter(user.roomId, producerId, owner.routerId, participant.routerId);
+
+        const router = getRouter(user.roomId, participant.routerId);
         
         // Check if router can consume
         if (!router.canConsume({ producerId, rtpCapabilities })) {
@@ -241,12 +534,52 @@ const setupSignaling = (io) => {
         const consumer = await transport.consume({
           producerId,
           rtpCapabilities,
-          paused: true // Start paused
+          paused: true, // Start paused
+          // Simulcast/SVC only: start on the layers the client asked for (e.g. a thumbnail)
+          ...(preferredLayers && { preferredLayers })
         });
 
         // Store consumer in room service
         roomService.addConsumer(user.roomId, user.userId, consumer);
 
+        // Keep the consuming client in sync with the producer's lifecycle.
+        // participant.socketId is read at emit time since it changes when the session is resumed.
+        consumer.on('transportclose', () => {
+          roomService.removeConsumer(user.roomId, user.userId, consumer.id);
+        });
+
+        consumer.on('producerclose', () => {
+          roomService.removeConsumer(user.roomId, user.userId, consumer.id);
+          io.to(participant.socketId).emit('consumerClosed', {
+            consumerId: consumer.id,
+            producerId
+          });
+        });
+
+        consumer.on('producerpause', () => {
+          io.to(participant.socketId).emit('producerPaused', {
+            consumerId: consumer.id,
+            producerId
+          });
+        });
+
+        consumer.on('producerresume', () => {
+          io.to(participant.socketId).emit('producerResumed', {
+            consumerId: consumer.id,
+            producerId
+          });
+        });
+
+        // Simulcast/SVC: report the layers actually being forwarded so the UI can show quality
+        consumer.on('layerschange', (layers) => {
+          io.to(participant.socketId).emit('consumerLayersChanged', {
+            consumerId: consumer.id,
+            producerId,
+            spatialLayer: layers ? layers.spatialLayer : null,
+            temporalLayer: layers ? layers.temporalLayer : null
+          });
+        });
+
         console.log(`Consumer created: ${consumer.id} for producer ${producerId}`);
 
         callback({
@@ -254,7 +587,10 @@ const setupSignaling = (io) => {
           id: consumer.id,
           kind: consumer.kind,
           rtpParameters: consumer.rtpParameters,
-          producerPaused: consumer.producerPaused
+          type: consumer.type,
+          producerPaused: consumer.producerPaused,
+          preferredLayers: consumer.preferredLayers,
+          currentLayers: consumer.currentLayers
         });
 
       } catch (error) {
@@ -288,15 +624,189 @@ const setupSignaling = (io) => {
       }
     });
 
+    // Handle consumer pause
+    socket.on('pauseConsumer', async (data, callback) => {
+      try {
+        const { consumerId } = data;
+        const user = roomService.getUserBySocketId(socket.id);
+        
+        if (!user) {
+          return callback({ error: 'User not found in any room' });
+        }
+
+        const consumer = roomService.getConsumer(user.roomId, user.userId, consumerId);
+        if (!consumer) {
+          return callback({ error: 'Consumer not found' });
+        }
+
+        await consumer.pause();
+
+        callback({ success: true });
+
+      } catch (error) {
+        console.error('Error pausing consumer:', error);
+        callback({ error: 'Failed to pause consumer' });
+      }
+    });
+
+    // Handle preferred layers for a simulcast/SVC consumer (e.g. thumbnail vs. speaker view)
+    socket.on('setConsumerPreferredLayers', async (data, callback) => {
+      try {
+        const { consumerId, spatialLayer, temporalLayer } = data;
+        const user = roomService.getUserBySocketId(socket.id);
+        
+        if (!user) {
+          return callback({ error: 'User not found in any room' });
+        }
+
+        const consumer = roomService.getConsumer(user.roomId, user.userId, consumerId);
+        if (!consumer) {
+          return callback({ error: 'Consumer not found' });
+        }
+
+        if (consumer.type !== 'simulcast' && consumer.type !== 'svc') {
+          return callback({ error: 'Consumer has no layers' });
+        }
+
+        await consumer.setPreferredLayers({ spatialLayer, temporalLayer });
+
+        callback({
+          success: true,
+          preferredLayers: consumer.preferredLayers
+        });
+
+      } catch (error) {
+        console.error('Error setting consumer preferred layers:', error);
+        callback({ error: 'Failed to set preferred layers' });
+      }
+    });
+
+    // Handle consumer priority (higher priority consumers get bandwidth first)
+    socket.on('setConsumerPriority', async (data, callback) => {
+      try {
+        const { consumerId, priority } = data;
+        const user = roomService.getUserBySocketId(socket.id);
+        
+        if (!user) {
+          return callback({ error: 'User not found in any room' });
+        }
+
+        const consumer = roomService.getConsumer(user.roomId, user.userId, consumerId);
+        if (!consumer) {
+          return callback({ error: 'Consumer not found' });
+        }
+
+        await consumer.setPriority(priority);
+
+        callback({
+          success: true,
+          priority: consumer.priority
+        });
+
+      } catch (error) {
+        console.error('Error setting consumer priority:', error);
+        callback({ error: 'Failed to set consumer priority' });
+      }
+    });
+
+    // Handle producer close (e.g. stop camera or screen share)
+    socket.on('closeProducer', async (data, callback) => {
+      try {
+        const { producerId } = data;
+        const user = roomService.getUserBySocketId(socket.id);
+        
+        if (!user) {
+          return callback({ error: 'User not found in any room' });
+        }
+
+        const producer = roomService.getProducer(user.roomId, user.userId, producerId);
+        if (!producer) {
+          return callback({ error: 'Producer not found' });
+        }
+
+        // Consumers of this producer get 'producerclose' and their sockets are told via consumerClosed
+        producer.close();
+        roomService.removeProducer(user.roomId, user.userId, producerId);
+
+        console.log(`Producer closed: ${producerId} by ${user.name}`);
+
+        callback({ success: true });
+
+        io.to(user.roomId).emit('producerClosed', {
+          producerId,
+          userId: user.userId
+        });
+
+      } catch (error) {
+        console.error('Error closing producer:', error);
+        callback({ error: 'Failed to close producer' });
+      }
+    });
+
+    // Handle producer pause (e.g. mute microphone)
+    socket.on('pauseProducer', async (data, callback) => {
+      try {
+        const { producerId } = data;
+        const user = roomService.getUserBySocketId(socket.id);
+        
+        if (!user) {
+          return callback({ error: 'User not found in any room' });
+        }
+
+        const producer = roomService.getProducer(user.roomId, user.userId, producerId);
+        if (!producer) {
+          return callback({ error: 'Producer not found' });
+        }
+
+        // Consumers get 'producerpause' and their sockets are told via producerPaused
+        await producer.pause();
+
+        callback({ success: true });
+
+      } catch (error) {
+        console.error('Error pausing producer:', error);
+        callback({ error: 'Failed to pause producer' });
+      }
+    });
+
+    // Handle producer resume (e.g. unmute microphone)
+    socket.on('resumeProducer', async (data, callback) => {
+      try {
+        const { producerId } = data;
+        const user = roomService.getUserBySocketId(socket.id);
+        
+        if (!user) {
+          return callback({ error: 'User not found in any room' });
+        }
+
+        const producer = roomService.getProducer(user.roomId, user.userId, producerId);
+        if (!producer) {
+          return callback({ error: 'Producer not found' });
+        }
+
+        if (producer.kind === 'audio' && !roomService.canProduceAudio(user.roomId, user.userId)) {
+          return callback({ error: 'Raise your hand and wait for the teacher to grant you a turn' });
+        }
+
+        await producer.resume();
+
+        callback({ success: true });
+
+      } catch (error) {
+        console.error('Error resuming producer:', error);
+        callback({ error: 'Failed to resume producer' });
+      }
+    });
+
     // Handle get producers request
-    socket.on('getProducers', (callback) => {
+    socket.on('getProducers', async (callback) => {
       try {
         const user = roomService.getUserBySocketId(socket.id);
         if (!user) {
           return callback({ error: 'User not found in any room' });
         }
 
-        const producers = roomService.getRoomProducers(user.roomId, user.userId);
+        const producers = await roomService.listRoomProducers(user.roomId, user.userId);
 
         callback({
           success: true,
@@ -309,58 +819,232 @@ const setupSignaling = (io) => {
       }
     });
 
-    // Handle RTP capabilities setting
-    socket.on('setRtpCapabilities', (data, callback) => {
+    // Handle data producer creation (SCTP data channel, e.g. cursor positions or annotations)
+    socket.on('produceData', async (data, callback) => {
       try {
-        const { rtpCapabilities } = data;
+        const { transportId, sctpStreamParameters, label, protocol, appData } = data;
         const user = roomService.getUserBySocketId(socket.id);
-        
+
         if (!user) {
           return callback({ error: 'User not found in any room' });
         }
 
-        roomService.setRtpCapabilities(user.roomId, user.userId, rtpCapabilities);
+        const limit = roomService.checkParticipantLimit(user.roomId, user.userId, 'dataProducers');
+        if (!limit.allowed) {
+          rateLimiter.recordViolation(socket, 'produceData', 'participant_limit', limit.reason);
+          return callback({ error: limit.reason });
+        }
+
+        const transport = roomService.getTransport(user.roomId, user.userId, transportId);
+        if (!transport) {
+          return callback({ error: 'Transport not found' });
+        }
+
+        const dataProducer = await transport.produceData({
+          sctpStreamParameters,
+          label,
+          protocol,
+          appData: { ...appData, userId: user.userId, userName: user.name }
+        });
+
+        // Store data producer in room service
+        roomService.addDataProducer(user.roomId, user.userId, dataProducer);
+
+        // The data producer goes away with its transport
+        dataProducer.on('transportclose', () => {
+          roomService.removeDataProducer(user.roomId, user.userId, dataProducer.id);
+          io.to(user.roomId).emit('dataProducerClosed', {
+            dataProducerId: dataProducer.id,
+            userId: user.userId
+          });
+        });
+
+        console.log(`Data producer created: ${dataProducer.id} (${dataProducer.label}) by ${user.name}`);
+
+        callback({
+          success: true,
+          id: dataProducer.id
+        });
+
+        // Notify other users about new data producer (only those on this instance can consume it)
+        socket.to(user.roomId).local.emit('newDataProducer', {
+          userId: user.userId,
+          userName: user.name,
+          userRole: user.role,
+          dataProducerId: dataProducer.id,
+          label: dataProducer.label,
+          protocol: dataProducer.protocol
+        });
+
+      } catch (error) {
+        console.error('Error creating data producer:', error);
+        callback({ error: 'Failed to create data producer' });
+      }
+    });
+
+    // Handle data consumer creation
+    socket.on('consumeData', async (data, callback) => {
+      try {
+        const { transportId, dataProducerId } = data;
+        const user = roomService.getUserBySocketId(socket.id);
+
+        if (!user) {
+          return callback({ error: 'User not found in any room' });
+        }
+
+        const limit = roomService.checkParticipantLimit(user.roomId, user.userId, 'dataConsumers');
+        if (!limit.allowed) {
+          rateLimiter.recordViolation(socket, 'consumeData', 'participant_limit', limit.reason);
+          return callback({ error: limit.reason });
+        }
+
+        const transport = roomService.getTransport(user.roomId, user.userId, transportId);
+        if (!transport) {
+          return callback({ error: 'Transport not found' });
+        }
+
+        // Data producers living on another router of the room are piped to this participant's router first
+        const participant = roomService.getParticipant(user.roomId, user.userId);
+        const owner = roomService.findDataProducerOwner(user.roomId, dataProducerId);
+        if (!owner) {
+          return callback({ error: 'Data producer not found' });
+        }
+        if (owner.userId === user.userId) {
+          return callback({ error: 'Cannot consume your own data producer' });
+        }
+
+        await pipeDataProducerToRouter(user.roomId, dataProducerId, owner.routerId, participant.routerId);
+
+        const dataConsumer = await transport.consumeData({ dataProducerId });
+
+        // Store data consumer in room service
+        roomService.addDataConsumer(user.roomId, user.userId, dataConsumer);
+
+        dataConsumer.on('transportclose', () => {
+          roomService.removeDataConsumer(user.roomId, user.userId, dataConsumer.id);
+        });
+
+        dataConsumer.on('dataproducerclose', () => {
+          roomService.removeDataConsumer(user.roomId, user.userId, dataConsumer.id);
+          io.to(participant.socketId).emit('dataConsumerClosed', {
+            dataConsumerId: dataConsumer.id,
+            dataProducerId
+          });
+        });
+
+        console.log(`Data consumer created: ${dataConsumer.id} for data producer ${dataProducerId}`);
+
+        callback({
+          success: true,
+          id: dataConsumer.id,
+          dataProducerId,
+          sctpStreamParameters: dataConsumer.sctpStreamParameters,
+          label: dataConsumer.label,
+          protocol: dataConsumer.protocol
+        });
+
+      } catch (error) {
+        console.error('Error creating data consumer:', error);
+        callback({ error: 'Failed to create data consumer' });
+      }
+    });
+
+    // Handle data producer close
+    socket.on('closeDataProducer', (data, callback) => {
+      try {
+        const { dataProducerId } = data;
+        const user = roomService.getUserBySocketId(socket.id);
+
+        if (!user) {
+          return callback({ error: 'User not found in any room' });
+        }
+
+        const dataProducer = roomService.getDataProducer(user.roomId, user.userId, dataProducerId);
+        if (!dataProducer) {
+          return callback({ error: 'Data producer not found' });
+        }
+
+        // Data consumers get 'dataproducerclose' and their sockets are told via dataConsumerClosed
+        dataProducer.close();
+        roomService.removeDataProducer(user.roomId, user.userId, dataProducerId);
+
+        console.log(`Data producer closed: ${dataProducerId} by ${user.name}`);
 
         callback({ success: true });
 
+        io.to(user.roomId).emit('dataProducerClosed', {
+          dataProducerId,
+          userId: user.userId
+        });
+
       } catch (error) {
-        console.error('Error setting RTP capabilities:', error);
-        callback({ error: 'Failed to set RTP capabilities' });
+        console.error('Error closing data producer:', error);
+        callback({ error: 'Failed to close data producer' });
       }
     });
 
-    // Handle chat messages
-    socket.on('chat:message', async (data, callback) => {
+    // Handle data consumer close
+    socket.on('closeDataConsumer', (data, callback) => {
       try {
-        const { text } = data;
+        const { dataConsumerId } = data;
         const user = roomService.getUserBySocketId(socket.id);
-        
+
         if (!user) {
           return callback({ error: 'User not found in any room' });
         }
 
-        if (!text || text.trim().length === 0) {
-          return callback({ error: 'Message text is required' });
+        const dataConsumer = roomService.getDataConsumer(user.roomId, user.userId, dataConsumerId);
+        if (!dataConsumer) {
+          return callback({ error: 'Data consumer not found' });
         }
 
-        const message = {
-          id: Date.now().toString(),
-          userId: user.userId,
-          name: user.name,
-          role: user.role,
-          text: text.trim(),
-          timestamp: new Date().toISOString()
-        };
+        dataConsumer.close();
+        roomService.removeDataConsumer(user.roomId, user.userId, dataConsumerId);
 
-        // Simple chat message without persistence
-        // Broadcast message to room
-        io.to(user.roomId).emit('chat:message', message);
+        callback({ success: true });
 
-        callback({ success: true, message });
+      } catch (error) {
+        console.error('Error closing data consumer:', error);
+        callback({ error: 'Failed to close data consumer' });
+      }
+    });
+
+    // Handle get data producers request
+    socket.on('getDataProducers', (callback) => {
+      try {
+        const user = roomService.getUserBySocketId(socket.id);
+        if (!user) {
+          return callback({ error: 'User not found in any room' });
+        }
+
+        callback({
+          success: true,
+          dataProducers: roomService.getRoomDataProducers(user.roomId, user.userId)
+        });
 
       } catch (error) {
-        console.error('Error handling chat message:', error);
-        callback({ error: 'Failed to send message' });
+        console.error('Error getting data producers:', error);
+        callback({ error: 'Failed to get data producers' });
+      }
+    });
+
+    // Handle RTP capabilities setting
+    socket.on('setRtpCapabilities', (data, callback) => {
+      try {
+        const { rtpCapabilities } = data;
+        const user = roomService.getUserBySocketId(socket.id);
+        
+        if (!user) {
+          return callback({ error: 'User not found in any room' });
+        }
+
+        roomService.setRtpCapabilities(user.roomId, user.userId, rtpCapabilities);
+
+        callback({ success: true });
+
+      } catch (error) {
+        console.error('Error setting RTP capabilities:', error);
+        callback({ error: 'Failed to set RTP capabilities' });
       }
     });
 
@@ -381,29 +1065,71 @@ const setupSignaling = (io) => {
             role: user.role
           });
 
-          if (callback) callback({ success: true });
+          callback({ success: true });
         }
 
       } catch (error) {
         console.error('Error leaving room:', error);
-        if (callback) callback({ error: 'Failed to leave room' });
+        callback({ error: 'Failed to leave room' });
       }
     });
 
+    // Teacher moderation events
+    registerModerationHandlers(io, socket);
+
+    // Waiting room events
+    lobby.registerHandlers(socket);
+
+    // Raise-hand queue events
+    registerHandHandlers(io, socket);
+
+    // Recording events
+    registerRecordingHandlers(io, socket);
+
+    // Live broadcast events
+    registerLiveHandlers(io, socket);
+
+    // Chat events
+    registerChatHandlers(io, socket);
+
+    // Whiteboard events
+    registerWhiteboardHandlers(io, socket);
+
+    // Poll and quiz events
+    polls.registerHandlers(socket);
+
+    // Breakout room events
+    breakouts.registerHandlers(socket);
+
+    // Bandwidth policy events
+    registerBandwidthHandlers(io, socket);
+
     // Handle disconnection
     socket.on('disconnect', () => {
       try {
-        const user = roomService.removeUserFromRoom(socket.id);
-        
-        if (user) {
+        const notifyLeft = (user) => {
           console.log(`User ${user.name} disconnected from room: ${user.roomId}`);
 
           // Notify others in room
-          socket.to(user.roomId).emit('userLeft', {
+          io.to(user.roomId).emit('userLeft', {
             userId: user.userId,
             name: user.name,
             role: user.role
           });
+        };
+
+        // Keep the participant around so a brief network blip doesn't drop them from class
+        if (reconnectGracePeriodMs > 0) {
+          const user = roomService.suspendUser(socket.id, reconnectGracePeriodMs, notifyLeft);
+          if (user) {
+            console.log(`User ${user.name} lost connection, keeping session for ${reconnectGracePeriodMs}ms`);
+          }
+          return;
+        }
+
+        const user = roomService.removeUserFromRoom(socket.id);
+        if (user) {
+          notifyLeft(user);
         }
 
       } catch (error) {
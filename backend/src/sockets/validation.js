@@ -0,0 +1,125 @@
+// Declarative validation of signaling payloads.
+// A schema maps field names to rules:
+//   { type: 'string' | 'integer' | 'number' | 'boolean' | 'object' | 'array' (or a list of them),
+//     required, nullable, minLength, maxLength, pattern, min, max, enum, maxItems, items }
+// Fields not in the schema are left alone; handlers only read what they expect.
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const typeChecks = {
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  object: isPlainObject,
+  array: Array.isArray
+};
+
+const typeNames = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array'
+};
+
+// Check one value against a rule; returns an error message or null
+const checkValue = (name, value, rule) => {
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${name} must be one of: ${rule.enum.join(', ')}`;
+  }
+  if (rule.type) {
+    const types = [].concat(rule.type);
+    if (!types.some(type => typeChecks[type](value))) {
+      return `${name} must be ${types.map(type => typeNames[type]).join(' or ')}`;
+    }
+  }
+  if (typeof value === 'string') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return `${name} must be at least ${rule.minLength} characters`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return `${name} must be at most ${rule.maxLength} characters`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return `${name} has an invalid format`;
+    }
+  }
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) {
+      return `${name} must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return `${name} must be at most ${rule.max}`;
+    }
+  }
+  if (Array.isArray(value)) {
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return `${name} must have at most ${rule.maxItems} items`;
+    }
+    if (rule.items) {
+      for (let index = 0; index < value.length; index++) {
+        const error = checkValue(`${name}[${index}]`, value[index], rule.items);
+        if (error) return error;
+      }
+    }
+  }
+  return null;
+};
+
+// Validate a payload against a schema; returns an error message or null
+const validatePayload = (schema, data) => {
+  if (!isPlainObject(data)) {
+    return 'payload must be an object';
+  }
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const value = data[name];
+    if (value === undefined || (value === null && rule.nullable)) {
+      if (rule.required) {
+        return `${name} is required`;
+      }
+      continue;
+    }
+    const error = checkValue(name, value, rule);
+    if (error) return error;
+  }
+  return null;
+};
+
+const noop = () => {};
+
+// Socket.IO packet middleware enforcing the event schemas.
+// Every event with a schema reaches its handler as (data, callback) or, with `payload: null`, as (callback):
+// the callback is always a function (a no-op when the client sent no acknowledgement), an omitted payload
+// becomes {}, and malformed payloads are answered with { error } without reaching the handler.
+// Events without a schema pass through untouched.
+const createPacketValidator = (schemas) => (packet, next) => {
+  const schema = schemas[packet[0]];
+  if (!schema) {
+    return next();
+  }
+
+  const args = packet.slice(1);
+  const callback = typeof args[args.length - 1] === 'function' ? args.pop() : noop;
+
+  if (schema.payload === null) {
+    packet.splice(1, packet.length - 1, callback);
+    return next();
+  }
+
+  const data = args[0] === undefined ? {} : args[0];
+  const error = validatePayload(schema.payload, data);
+  if (error) {
+    return callback({ error: `Invalid payload: ${error}` });
+  }
+
+  packet.splice(1, packet.length - 1, data, callback);
+  next();
+};
+
+module.exports = {
+  validatePayload,
+  createPacketValidator
+};
@@ -0,0 +1,103 @@
+const roomService = require('../services/roomService');
+
+// Collaborative whiteboard: drawing operations, teacher clear/lock, snapshots
+const registerWhiteboardHandlers = (io, socket) => {
+  // Resolve the caller's room and its whiteboard
+  const getWhiteboardContext = ({ teacherOnly = false } = {}) => {
+    if (teacherOnly && socket.user.role !== 'teacher') {
+      return { error: 'Only teachers can manage the whiteboard' };
+    }
+    const user = roomService.getUserBySocketId(socket.id);
+    if (!user) {
+      return { error: 'User not found in any room' };
+    }
+    return { user, whiteboard: roomService.getWhiteboard(user.roomId) };
+  };
+
+  // Handle a drawing operation (add, update or delete an element)
+  socket.on('whiteboard:op', (data, callback) => {
+    try {
+      const { user, whiteboard, error } = getWhiteboardContext();
+      if (error) {
+        return callback({ error });
+      }
+
+      const result = whiteboard.apply(data, user);
+      if (result.error) {
+        return callback({ error: result.error });
+      }
+
+      callback({ success: true, op: result.op });
+
+      // Everyone, including the sender, applies operations in sequence order
+      io.to(user.roomId).emit('whiteboard:op', result.op);
+
+    } catch (error) {
+      console.error('Error applying whiteboard operation:', error);
+      callback({ error: 'Failed to apply whiteboard operation' });
+    }
+  });
+
+  // Handle clearing the board (teacher only)
+  socket.on('whiteboard:clear', (callback) => {
+    try {
+      const { user, whiteboard, error } = getWhiteboardContext({ teacherOnly: true });
+      if (error) {
+        return callback({ error });
+      }
+
+      const { op } = whiteboard.clear(user);
+
+      console.log(`Teacher ${user.name} cleared the whiteboard in room: ${user.roomId}`);
+
+      callback({ success: true, op });
+
+      io.to(user.roomId).emit('whiteboard:op', op);
+
+    } catch (error) {
+      console.error('Error clearing whiteboard:', error);
+      callback({ error: 'Failed to clear whiteboard' });
+    }
+  });
+
+  // Handle locking the board to teacher-only drawing (teacher only)
+  socket.on('whiteboard:lock', (data, callback) => {
+    try {
+      const { locked } = data;
+      const { user, whiteboard, error } = getWhiteboardContext({ teacherOnly: true });
+      if (error) {
+        return callback({ error });
+      }
+
+      whiteboard.setLocked(!!locked);
+
+      console.log(`Teacher ${user.name} ${locked ? 'locked' : 'unlocked'} the whiteboard in room: ${user.roomId}`);
+
+      callback({ success: true, locked: whiteboard.locked });
+
+      io.to(user.roomId).emit('whiteboard:locked', { locked: whiteboard.locked, by: user.name });
+
+    } catch (error) {
+      console.error('Error locking whiteboard:', error);
+      callback({ error: 'Failed to lock whiteboard' });
+    }
+  });
+
+  // Handle snapshot request (e.g. a client noticed a gap in sequence numbers)
+  socket.on('whiteboard:snapshot', (callback) => {
+    try {
+      const { whiteboard, error } = getWhiteboardContext();
+      if (error) {
+        return callback({ error });
+      }
+
+      callback({ success: true, whiteboard: whiteboard.getSnapshot() });
+
+    } catch (error) {
+      console.error('Error getting whiteboard snapshot:', error);
+      callback({ error: 'Failed to get whiteboard' });
+    }
+  });
+};
+
+module.exports = registerWhiteboardHandlers;
@@ -24,12 +24,18 @@ jest.mock('../src/config/firebase', () => ({
 // Mock mediasoup for testing
 jest.mock('../src/config/mediasoup', () => ({
   initializeMediasoup: jest.fn(() => Promise.resolve()),
+  createRouter: jest.fn(() => Promise.resolve({ id: 'test-router' })),
+  getRouter: jest.fn(),
+  assignRouter: jest.fn(() => Promise.resolve({ id: 'test-router' })),
+  releaseRouter: jest.fn(),
+  closeRouter: jest.fn(),
   getRouterRtpCapabilities: jest.fn(() => ({ codecs: [] })),
   createWebRtcTransport: jest.fn(() => Promise.resolve({
     transport: { id: 'test-transport' },
     params: { id: 'test-transport' }
   })),
-  closeWorker: jest.fn()
+  closeWorkers: jest.fn(),
+  mediasoupEvents: { on: jest.fn() }
 }));
 
 describe('Backend API Tests', () => {
@@ -77,6 +83,181 @@ describe('Backend API Tests', () => {
     });
   });
 
+  describe('Whiteboard Export', () => {
+    it('should require authentication', async () => {
+      const response = await request(app).get('/api/rooms/test-room/whiteboard.svg');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Recordings', () => {
+    it('should require authentication', async () => {
+      const response = await request(app).get('/api/recordings');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Metrics', () => {
+    const originalToken = process.env.METRICS_TOKEN;
+
+    afterEach(() => {
+      process.env.METRICS_TOKEN = originalToken;
+      if (originalToken === undefined) delete process.env.METRICS_TOKEN;
+    });
+
+    it('should be disabled without a configured token', async () => {
+      delete process.env.METRICS_TOKEN;
+      const response = await request(app).get('/metrics');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should require the configured token', async () => {
+      process.env.METRICS_TOKEN = 'secret';
+      const response = await request(app).get('/metrics').set('Authorization', 'Bearer wrong');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Room Management', () => {
+    it('should require authentication', async () => {
+      const requests = [
+        request(app).get('/api/rooms'),
+        request(app).post('/api/rooms').send({ roomId: 'test-room' }),
+        request(app).get('/api/rooms/test-room'),
+        request(app).delete('/api/rooms/test-room'),
+        request(app).put('/api/rooms/test-room/bandwidth').send({ student: { maxIncomingBitrate: 500000 } })
+      ];
+
+      for (const response of await Promise.all(requests)) {
+        expect(response.status).toBe(401);
+      }
+    });
+
+    describe('as a teacher', () => {
+      const { getFirestore } = require('../src/config/firebase');
+      const roomService = require('../src/services/roomService');
+      const MemoryRoomStore = require('../src/services/stores/memoryStore');
+      const auth = { Authorization: 'Bearer test-token' };
+      let defaultFirestore;
+
+      beforeAll(() => {
+        defaultFirestore = getFirestore.getMockImplementation();
+        getFirestore.mockImplementation(() => ({
+          collection: () => ({
+            doc: () => ({
+              get: () => Promise.resolve({ exists: true, data: () => ({ role: 'teacher', name: 'Teacher' }) })
+            })
+          })
+        }));
+      });
+
+      afterAll(() => {
+        getFirestore.mockImplementation(defaultFirestore);
+      });
+
+      beforeEach(() => {
+        roomService.rooms.clear();
+        roomService.users.clear();
+        roomService.setStore(new MemoryRoomStore());
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should create rooms and reject invalid or taken IDs', async () => {
+        const created = await request(app).post('/api/rooms').set(auth).send({ roomId: 'math-101', lobby: true });
+        expect(created.status).toBe(201);
+        expect(created.body.room).toMatchObject({ roomId: 'math-101', lobbyEnabled: true });
+        expect(roomService.roomExists('math-101')).toBe(true);
+
+        const invalid = await request(app).post('/api/rooms').set(auth).send({ roomId: '../math' });
+        expect(invalid.status).toBe(400);
+        expect(roomService.roomExists('../math')).toBe(false);
+
+        const taken = await request(app).post('/api/rooms').set(auth).send({ roomId: 'math-101' });
+        expect(taken.status).toBe(409);
+      });
+
+      it('should list rooms and return their stats', async () => {
+        roomService.addUserToRoom('math-101', 'student1', 'socket1', { name: 'Student 1', role: 'student' });
+
+        const list = await request(app).get('/api/rooms').set(auth);
+        expect(list.status).toBe(200);
+        expect(list.body.rooms.map(room => room.roomId)).toEqual(['math-101']);
+        expect(list.body.rooms[0]).not.toHaveProperty('participants');
+
+        const stats = await request(app).get('/api/rooms/math-101').set(auth);
+        expect(stats.status).toBe(200);
+        expect(stats.body.room.participants.map(p => p.userId)).toEqual(['student1']);
+
+        const missing = await request(app).get('/api/rooms/other-room').set(auth);
+        expect(missing.status).toBe(404);
+      });
+
+      it('should close a room and disconnect its participants', async () => {
+        const io = app.get('io');
+        const emit = jest.fn();
+        const disconnectSockets = jest.fn();
+        const to = jest.spyOn(io, 'to').mockReturnValue({ emit });
+        const inRoom = jest.spyOn(io, 'in').mockReturnValue({ disconnectSockets });
+
+        roomService.addUserToRoom('math-101', 'teacher1', 'socket1', { name: 'Teacher', role: 'teacher' });
+
+        const response = await request(app).delete('/api/rooms/math-101').set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body.closedRoomIds).toEqual(['math-101']);
+        expect(roomService.roomExists('math-101')).toBe(false);
+        expect(to).toHaveBeenCalledWith('math-101');
+        expect(emit).toHaveBeenCalledWith('roomClosed', { roomId: 'math-101', by: 'Teacher' });
+        expect(inRoom).toHaveBeenCalledWith('math-101');
+        expect(disconnectSockets).toHaveBeenCalledWith(true);
+
+        const missing = await request(app).delete('/api/rooms/math-101').set(auth);
+        expect(missing.status).toBe(404);
+      });
+
+      it('should only export the whiteboard to teachers who have been in the room', async () => {
+        roomService.addUserToRoom('math-101', 'teacher1', 'socket1', { name: 'Other Teacher', role: 'teacher' });
+
+        const stranger = await request(app).get('/api/rooms/math-101/whiteboard.json').set(auth);
+        expect(stranger.status).toBe(404);
+
+        // Leaving the room keeps access while the room runs
+        roomService.addUserToRoom('math-101', 'test-uid', 'socket2', { name: 'Teacher', role: 'teacher' });
+        roomService.removeUserFromRoom('socket2');
+
+        const exported = await request(app).get('/api/rooms/math-101/whiteboard.json').set(auth);
+        expect(exported.status).toBe(200);
+        expect(exported.body).toMatchObject({ roomId: 'math-101', elements: [] });
+      });
+    });
+  });
+
+  describe('Live Stream', () => {
+    it('should not serve a playlist without a valid token', async () => {
+      const response = await request(app).get('/api/rooms/test-room/live.m3u8?token=wrong');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Not Found');
+    });
+
+    it('should not count playlist and segment polling against the API rate limit', async () => {
+      for (let i = 0; i < 60; i++) {
+        const playlist = await request(app).get('/api/rooms/test-room/live.m3u8?token=wrong');
+        const segment = await request(app).get(`/api/rooms/test-room/live/segment-${i}.ts?token=wrong`);
+
+        expect(playlist.status).toBe(404);
+        expect(segment.status).toBe(404);
+      }
+    });
+  });
+
   describe('404 Handler', () => {
     it('should handle non-existent routes', async () => {
       const response = await request(app).get('/non-existent-route');
@@ -90,11 +271,13 @@ describe('Backend API Tests', () => {
 // Test the room service
 describe('Room Service', () => {
   const roomService = require('../src/services/roomService');
+  const MemoryRoomStore = require('../src/services/stores/memoryStore');
 
   beforeEach(() => {
     // Clear rooms before each test
     roomService.rooms.clear();
     roomService.users.clear();
+    roomService.setStore(new MemoryRoomStore());
   });
 
   it('should create a room', () => {
@@ -156,6 +339,264 @@ describe('Room Service', () => {
     expect(participants.find(p => p.userId === userId1)).toBeDefined();
     expect(participants.find(p => p.userId === userId2)).toBeDefined();
   });
+
+  it('should keep a disconnected user until the grace period expires', () => {
+    jest.useFakeTimers();
+    const roomId = 'test-room';
+    const onExpire = jest.fn();
+
+    roomService.addUserToRoom(roomId, 'user1', 'socket1', { name: 'User 1', role: 'teacher' });
+    roomService.suspendUser('socket1', 1000, onExpire);
+
+    jest.advanceTimersByTime(999);
+    expect(roomService.getParticipant(roomId, 'user1')).toBeDefined();
+    expect(onExpire).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(roomService.getRoom(roomId)).toBeUndefined();
+    expect(onExpire).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user1', roomId }));
+    jest.useRealTimers();
+  });
+
+  it('should resume a suspended session on a new socket', () => {
+    jest.useFakeTimers();
+    const roomId = 'test-room';
+    const onExpire = jest.fn();
+
+    const participant = roomService.addUserToRoom(roomId, 'user1', 'socket1', { name: 'User 1', role: 'teacher' });
+    const { resumeToken } = participant;
+    roomService.suspendUser('socket1', 1000, onExpire);
+
+    expect(roomService.resumeUser(resumeToken, 'someone-else', 'socket2')).toBeNull();
+
+    const resumed = roomService.resumeUser(resumeToken, 'user1', 'socket2');
+    expect(resumed.participant).toBe(participant);
+    expect(participant.socketId).toBe('socket2');
+    expect(participant.resumeToken).not.toBe(resumeToken);
+    expect(roomService.getUserBySocketId('socket2').userId).toBe('user1');
+    expect(roomService.getUserBySocketId('socket1')).toBeUndefined();
+
+    // Tokens are single-use and the removal timer is cancelled
+    expect(roomService.resumeUser(resumeToken, 'user1', 'socket3')).toBeNull();
+    jest.advanceTimersByTime(1000);
+    expect(onExpire).not.toHaveBeenCalled();
+    expect(roomService.getParticipant(roomId, 'user1')).toBe(participant);
+    jest.useRealTimers();
+  });
+
+  it('should enforce room lock and bans on join', () => {
+    const roomId = 'test-room';
+    roomService.addUserToRoom(roomId, 'teacher1', 'socket1', { name: 'Teacher', role: 'teacher' });
+
+    expect(roomService.canJoinRoom(roomId, 'student1', 'student').allowed).toBe(true);
+
+    roomService.setRoomLocked(roomId, true);
+    expect(roomService.canJoinRoom(roomId, 'student1', 'student').allowed).toBe(false);
+    expect(roomService.canJoinRoom(roomId, 'teacher2', 'teacher').allowed).toBe(true);
+
+    roomService.setRoomLocked(roomId, false);
+    roomService.banUser(roomId, 'student1');
+    expect(roomService.canJoinRoom(roomId, 'student1', 'student').allowed).toBe(false);
+    expect(roomService.canJoinRoom(roomId, 'student2', 'student').allowed).toBe(true);
+  });
+
+  it('should keep lobby entries in request order', () => {
+    const roomId = 'test-room';
+    roomService.addUserToRoom(roomId, 'teacher1', 'socket1', { name: 'Teacher', role: 'teacher' });
+    roomService.setLobbyEnabled(roomId, true);
+
+    roomService.addToLobby(roomId, 'student1', 'socket2', { name: 'Student 1', role: 'student' });
+    roomService.addToLobby(roomId, 'student2', 'socket3', { name: 'Student 2', role: 'student' });
+
+    expect(roomService.isLobbyEnabled(roomId)).toBe(true);
+    expect(roomService.getLobby(roomId).map(e => e.userId)).toEqual(['student1', 'student2']);
+    expect(roomService.getRoomTeachers(roomId).map(p => p.userId)).toEqual(['teacher1']);
+
+    expect(roomService.removeFromLobby(roomId, 'student1').socketId).toBe('socket2');
+    expect(roomService.removeFromLobby(roomId, 'student1')).toBeNull();
+    expect(roomService.getLobby(roomId).map(e => e.userId)).toEqual(['student2']);
+  });
+
+  it('should forget closed producers and consumers', async () => {
+    const roomId = 'test-room';
+    roomService.addUserToRoom(roomId, 'user1', 'socket1', { name: 'User 1', role: 'teacher' });
+    roomService.addProducer(roomId, 'user1', { id: 'producer1', kind: 'video', close: jest.fn() });
+    roomService.addConsumer(roomId, 'user1', { id: 'consumer1', close: jest.fn() });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(await roomService.listRoomProducers(roomId)).toHaveLength(1);
+
+    roomService.removeProducer(roomId, 'user1', 'producer1');
+    roomService.removeConsumer(roomId, 'user1', 'consumer1');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(roomService.getProducer(roomId, 'user1', 'producer1')).toBeUndefined();
+    expect(roomService.findProducerOwner(roomId, 'producer1')).toBeNull();
+    expect(roomService.getConsumer(roomId, 'user1', 'consumer1')).toBeUndefined();
+    expect(await roomService.listRoomProducers(roomId)).toEqual([]);
+
+    // Removing again is a no-op
+    roomService.removeProducer(roomId, 'user1', 'producer1');
+    roomService.removeConsumer(roomId, 'user1', 'consumer1');
+  });
+
+  it('should track data producers and clean them up with the participant', () => {
+    const roomId = 'test-room';
+    roomService.addUserToRoom(roomId, 'user1', 'socket1', { name: 'User 1', role: 'teacher' });
+    roomService.addUserToRoom(roomId, 'user2', 'socket2', { name: 'User 2', role: 'student' });
+
+    const dataProducer = { id: 'data-producer-1', label: 'cursor', protocol: 'json', close: jest.fn() };
+    roomService.addDataProducer(roomId, 'user1', dataProducer);
+
+    expect(roomService.findDataProducerOwner(roomId, 'data-producer-1').userId).toBe('user1');
+    expect(roomService.getRoomDataProducers(roomId, 'user2')).toEqual([{
+      id: 'data-producer-1',
+      label: 'cursor',
+      protocol: 'json',
+      userId: 'user1',
+      userName: 'User 1',
+      userRole: 'teacher'
+    }]);
+    expect(roomService.getRoomDataProducers(roomId, 'user1')).toEqual([]);
+
+    roomService.removeUserFromRoom('socket1');
+    expect(dataProducer.close).toHaveBeenCalled();
+    expect(roomService.findDataProducerOwner(roomId, 'data-producer-1')).toBeNull();
+  });
+
+  it('should keep breakout rooms open until the session is closed', () => {
+    const roomId = 'test-room';
+    roomService.addUserToRoom(roomId, 'teacher1', 'socket1', { name: 'Teacher', role: 'teacher' });
+
+    const breakoutIds = roomService.createBreakoutRooms(roomId, ['Group A', 'Group B']);
+    expect(breakoutIds).toEqual(['test-room:breakout:1', 'test-room:breakout:2']);
+    expect(roomService.getMainRoomId('test-room:breakout:1')).toBe(roomId);
+    expect(() => roomService.createBreakoutRooms(roomId, ['Again'])).toThrow('already open');
+
+    // Empty breakout rooms and the main room survive while the session runs
+    roomService.removeUserFromRoom('socket1');
+    roomService.addUserToRoom('test-room:breakout:1', 'student1', 'socket2', { name: 'Student 1', role: 'student' });
+    roomService.removeUserFromRoom('socket2');
+    expect(roomService.roomExists(roomId)).toBe(true);
+    expect(roomService.getBreakoutRooms(roomId).map(r => r.name)).toEqual(['Group A', 'Group B']);
+
+    roomService.addUserToRoom(roomId, 'teacher1', 'socket3', { name: 'Teacher', role: 'teacher' });
+    expect(roomService.closeBreakoutRooms(roomId)).toEqual(breakoutIds);
+    expect(roomService.roomExists('test-room:breakout:1')).toBe(false);
+    expect(roomService.getBreakoutRooms(roomId)).toEqual([]);
+    expect(roomService.roomExists(roomId)).toBe(true);
+  });
+
+  it('should close a room with its breakout rooms and participants', () => {
+    const roomId = 'test-room';
+    roomService.addUserToRoom(roomId, 'teacher1', 'socket1', { name: 'Teacher', role: 'teacher' });
+    const [breakoutId] = roomService.createBreakoutRooms(roomId, ['Group A']);
+    roomService.addUserToRoom(breakoutId, 'student1', 'socket2', { name: 'Student 1', role: 'student' });
+
+    expect(roomService.closeRoom(roomId)).toEqual([breakoutId, roomId]);
+    expect(roomService.roomExists(roomId)).toBe(false);
+    expect(roomService.roomExists(breakoutId)).toBe(false);
+    expect(roomService.getUserBySocketId('socket2')).toBeUndefined();
+    expect(roomService.closeRoom(roomId)).toEqual([]);
+  });
+
+  it('should track users muted in chat', () => {
+    const roomId = 'test-room';
+    roomService.addUserToRoom(roomId, 'student1', 'socket1', { name: 'Student 1', role: 'student' });
+
+    roomService.setChatMuted(roomId, 'student1', true);
+    expect(roomService.isChatMuted(roomId, 'student1')).toBe(true);
+    expect(roomService.getChatMutedUsers(roomId)).toEqual(['student1']);
+    expect(roomService.getRoomStats(roomId).participants[0].chatMuted).toBe(true);
+
+    roomService.setChatMuted(roomId, 'student1', false);
+    expect(roomService.isChatMuted(roomId, 'student1')).toBe(false);
+  });
+
+  it('should keep raised hands in order and gate audio on granted turns', () => {
+    const roomId = 'test-room';
+    roomService.addUserToRoom(roomId, 'teacher1', 'socket1', { name: 'Teacher', role: 'teacher' });
+    roomService.addUserToRoom(roomId, 'student1', 'socket2', { name: 'Student 1', role: 'student' });
+    roomService.addUserToRoom(roomId, 'student2', 'socket3', { name: 'Student 2', role: 'student' });
+
+    roomService.raiseHand(roomId, 'student2');
+    roomService.raiseHand(roomId, 'student1');
+    roomService.raiseHand(roomId, 'student2');
+    expect(roomService.getHandQueue(roomId).map(e => e.userId)).toEqual(['student2', 'student1']);
+
+    roomService.setSpeakRequiresGrant(roomId, true);
+    expect(roomService.canProduceAudio(roomId, 'teacher1')).toBe(true);
+    expect(roomService.canProduceAudio(roomId, 'student2')).toBe(false);
+
+    roomService.lowerHand(roomId, 'student2');
+    roomService.setSpeakingGranted(roomId, 'student2', true);
+    expect(roomService.canProduceAudio(roomId, 'student2')).toBe(true);
+
+    roomService.removeUserFromRoom('socket2');
+    expect(roomService.getHandQueue(roomId)).toEqual([]);
+  });
+
+  it('should share membership and producers through the store', async () => {
+    const roomId = 'test-room';
+
+    roomService.addUserToRoom(roomId, 'user1', 'socket1', { name: 'User 1', role: 'teacher' });
+    roomService.addProducer(roomId, 'user1', { id: 'producer1', kind: 'video', close: jest.fn() });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(await roomService.isRoomActive(roomId)).toBe(true);
+    expect(await roomService.listRoomProducers(roomId, 'user2')).toEqual([{
+      id: 'producer1',
+      kind: 'video',
+      userId: 'user1',
+      userName: 'User 1',
+      userRole: 'teacher'
+    }]);
+    expect(await roomService.listRoomProducers(roomId, 'user1')).toEqual([]);
+
+    roomService.removeUserFromRoom('socket1');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(await roomService.isRoomActive(roomId)).toBe(false);
+  });
+
+  it('should apply store writes of a room in order', async () => {
+    const roomId = 'test-room';
+    const error = jest.spyOn(console, 'error');
+
+    // The last participant leaves and someone joins right away
+    roomService.addUserToRoom(roomId, 'user1', 'socket1', { name: 'User 1', role: 'teacher' });
+    roomService.removeUserFromRoom('socket1');
+    roomService.addUserToRoom(roomId, 'user2', 'socket2', { name: 'User 2', role: 'student' });
+    roomService.addProducer(roomId, 'user2', { id: 'producer1', kind: 'audio', close: jest.fn() });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(await roomService.isRoomActive(roomId)).toBe(true);
+    expect((await roomService.store.getParticipants(roomId)).map(p => p.userId)).toEqual(['user2']);
+    expect(await roomService.listRoomProducers(roomId)).toHaveLength(1);
+    expect(error).not.toHaveBeenCalled();
+    error.mockRestore();
+  });
+
+  it('should only list producers this instance can serve', async () => {
+    const roomId = 'test-room';
+    roomService.addUserToRoom(roomId, 'user1', 'socket1', { name: 'User 1', role: 'teacher' });
+    roomService.addProducer(roomId, 'user1', { id: 'producer1', kind: 'video', close: jest.fn() });
+    await roomService.store.addProducer(roomId, { id: 'producer2', kind: 'video', userId: 'user2', nodeId: 'other-node' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect((await roomService.listRoomProducers(roomId)).map(p => p.id)).toEqual(['producer1']);
+  });
+
+  it('should purge what unresponsive instances left in the store', async () => {
+    const roomId = 'test-room';
+    await roomService.store.touchNode('other-node', Date.now() - 1);
+    await roomService.store.addParticipant(roomId, { userId: 'user2', nodeId: 'other-node' });
+
+    roomService.startHeartbeat();
+    await new Promise(resolve => setImmediate(resolve));
+    roomService.stopHeartbeat();
+
+    expect(await roomService.isRoomActive(roomId)).toBe(false);
+  });
 });
 
 // Test the schedule service - Removed as per requirements
\ No newline at end of file
@@ -0,0 +1,74 @@
+const { EventEmitter } = require('events');
+
+// Mock mediasoup config so the service sees a fake primary router
+const mockCreateObserver = () => {
+  const observer = new EventEmitter();
+  observer.observer = new EventEmitter();
+  observer.addProducer = jest.fn(() => Promise.resolve());
+  return observer;
+};
+
+const mockRouter = {
+  id: 'router-1',
+  createActiveSpeakerObserver: jest.fn(() => Promise.resolve(mockCreateObserver())),
+  createAudioLevelObserver: jest.fn(() => Promise.resolve(mockCreateObserver()))
+};
+
+jest.mock('../src/config/mediasoup', () => ({
+  getRouter: jest.fn(() => mockRouter),
+  pipeProducerToRouter: jest.fn(() => Promise.resolve())
+}));
+
+const { pipeProducerToRouter } = require('../src/config/mediasoup');
+const audioObserverService = require('../src/services/audioObserverService');
+
+describe('Audio Observer Service', () => {
+  beforeEach(() => {
+    audioObserverService.observers.clear();
+    audioObserverService.removeAllListeners();
+    jest.clearAllMocks();
+  });
+
+  it('should create observers once per room router', async () => {
+    const [first, second] = await Promise.all([
+      audioObserverService.attachToRoom('room-1'),
+      audioObserverService.attachToRoom('room-1')
+    ]);
+
+    expect(first).toBe(second);
+    expect(mockRouter.createActiveSpeakerObserver).toHaveBeenCalledTimes(1);
+    expect(mockRouter.createAudioLevelObserver).toHaveBeenCalledTimes(1);
+  });
+
+  it('should pipe and observe audio producers', async () => {
+    const entry = await audioObserverService.attachToRoom('room-1');
+    await audioObserverService.addProducer('room-1', 'producer-1', 'router-2');
+
+    expect(pipeProducerToRouter).toHaveBeenCalledWith('room-1', 'producer-1', 'router-2', 'router-1');
+    expect(entry.activeSpeakerObserver.addProducer).toHaveBeenCalledWith({ producerId: 'producer-1' });
+    expect(entry.audioLevelObserver.addProducer).toHaveBeenCalledWith({ producerId: 'producer-1' });
+  });
+
+  it('should emit speaker and level events with producer IDs', async () => {
+    const entry = await audioObserverService.attachToRoom('room-1');
+    const onSpeaker = jest.fn();
+    const onLevels = jest.fn();
+    audioObserverService.on('activeSpeaker', onSpeaker);
+    audioObserverService.on('audioLevels', onLevels);
+
+    entry.activeSpeakerObserver.emit('dominantspeaker', { producer: { id: 'producer-1' } });
+    entry.audioLevelObserver.emit('volumes', [{ producer: { id: 'producer-1' }, volume: -40 }]);
+    entry.audioLevelObserver.emit('silence');
+
+    expect(onSpeaker).toHaveBeenCalledWith('room-1', 'producer-1');
+    expect(onLevels).toHaveBeenCalledWith('room-1', [{ producerId: 'producer-1', volume: -40 }]);
+    expect(onLevels).toHaveBeenCalledWith('room-1', []);
+  });
+
+  it('should forget observers when the router closes', async () => {
+    const entry = await audioObserverService.attachToRoom('room-1');
+    entry.activeSpeakerObserver.observer.emit('close');
+
+    expect(audioObserverService.observers.has('room-1')).toBe(false);
+  });
+});
@@ -0,0 +1,84 @@
+jest.mock('../src/config/mediasoup', () => ({
+  assignRouter: jest.fn(() => Promise.resolve({ id: 'router-1' })),
+  releaseRouter: jest.fn(),
+  closeRouter: jest.fn(),
+  setTransportBitrates: jest.fn(() => Promise.resolve())
+}));
+
+const { setTransportBitrates } = require('../src/config/mediasoup');
+const bandwidthPolicy = require('../src/services/bandwidthPolicy');
+const roomService = require('../src/services/roomService');
+
+describe('Bandwidth Policy', () => {
+  it('should give each profile its own limits', () => {
+    const policy = bandwidthPolicy.getDefaultPolicy();
+
+    expect(Object.keys(policy)).toEqual(['teacher', 'student', 'screenShare']);
+    expect(policy.teacher.maxIncomingBitrate).toBeGreaterThan(policy.student.maxIncomingBitrate);
+    expect(bandwidthPolicy.getProfile('teacher')).toBe('teacher');
+    expect(bandwidthPolicy.getProfile('student')).toBe('student');
+  });
+
+  it('should never let screen share raise a role cap', () => {
+    const policy = bandwidthPolicy.getDefaultPolicy();
+
+    expect(bandwidthPolicy.getLimits(policy, 'student')).toEqual(policy.student);
+    expect(bandwidthPolicy.getLimits(policy, 'student', { screenShare: true })).toEqual({
+      maxIncomingBitrate: Math.min(policy.student.maxIncomingBitrate, policy.screenShare.maxIncomingBitrate),
+      maxOutgoingBitrate: Math.min(policy.student.maxOutgoingBitrate, policy.screenShare.maxOutgoingBitrate)
+    });
+    expect(bandwidthPolicy.getLimits(policy, 'student', { screenShare: true }).maxIncomingBitrate)
+      .toBe(policy.student.maxIncomingBitrate);
+    expect(bandwidthPolicy.getLimits(policy, 'teacher', { screenShare: true }).maxIncomingBitrate)
+      .toBe(policy.screenShare.maxIncomingBitrate);
+  });
+
+  it('should validate partial updates', () => {
+    expect(bandwidthPolicy.validatePolicy({ student: { maxIncomingBitrate: 500000 } }))
+      .toEqual({ changes: { student: { maxIncomingBitrate: 500000 } } });
+    expect(bandwidthPolicy.validatePolicy({ admin: { maxIncomingBitrate: 500000 } }).error).toMatch(/Profile/);
+    expect(bandwidthPolicy.validatePolicy({ student: { minBitrate: 500000 } }).error).toMatch(/Limit/);
+    expect(bandwidthPolicy.validatePolicy({ student: { maxIncomingBitrate: 1000 } }).error).toMatch(/between/);
+    expect(bandwidthPolicy.validatePolicy({ student: { maxIncomingBitrate: '500000' } }).error).toMatch(/between/);
+    expect(bandwidthPolicy.validatePolicy({}).error).toMatch(/at least one/);
+    expect(bandwidthPolicy.validatePolicy(null).error).toMatch(/object/);
+  });
+
+  it('should merge without sharing state', () => {
+    const policy = bandwidthPolicy.getDefaultPolicy();
+    const merged = bandwidthPolicy.mergePolicy(policy, { student: { maxOutgoingBitrate: 400000 } });
+
+    expect(merged.student).toEqual({ ...policy.student, maxOutgoingBitrate: 400000 });
+    expect(merged.teacher).toEqual(policy.teacher);
+    expect(merged.teacher).not.toBe(policy.teacher);
+  });
+
+  it('should re-cap live transports whose limits changed only', async () => {
+    const roomId = 'bandwidth-room';
+    roomService.createRoom(roomId);
+    roomService.addUserToRoom(roomId, 'teacher1', 'socket-t', { name: 'Teacher', role: 'teacher' });
+    roomService.addUserToRoom(roomId, 'student1', 'socket-s', { name: 'Student', role: 'student' });
+
+    const teacherTransport = { id: 't1', appData: { screenShare: false } };
+    const teacherScreen = { id: 't2', appData: { screenShare: true } };
+    const studentTransport = { id: 't3', appData: { screenShare: false } };
+    const studentScreen = { id: 't4', appData: { screenShare: true } };
+    roomService.addTransport(roomId, 'teacher1', teacherTransport);
+    roomService.addTransport(roomId, 'teacher1', teacherScreen);
+    roomService.addTransport(roomId, 'student1', studentTransport);
+    roomService.addTransport(roomId, 'student1', studentScreen);
+
+    const result = await roomService.updateBandwidthPolicy(roomId, {
+      student: { maxIncomingBitrate: 500000 },
+      screenShare: { maxOutgoingBitrate: 600000 }
+    });
+
+    expect(result.updatedTransports).toBe(3);
+    expect(setTransportBitrates).toHaveBeenCalledTimes(3);
+    expect(setTransportBitrates).toHaveBeenCalledWith(studentTransport, { maxIncomingBitrate: 500000 });
+    expect(setTransportBitrates).toHaveBeenCalledWith(studentScreen, { maxIncomingBitrate: 500000, maxOutgoingBitrate: 600000 });
+    expect(setTransportBitrates).toHaveBeenCalledWith(teacherScreen, { maxOutgoingBitrate: 600000 });
+    expect(roomService.getTransportLimits(roomId, 'student').maxIncomingBitrate).toBe(500000);
+    expect(roomService.getRoomStats(roomId).bandwidthPolicy.screenShare.maxOutgoingBitrate).toBe(600000);
+  });
+});
@@ -0,0 +1,103 @@
+// In-memory stand-in for the parts of Firestore the chat service uses
+const mockDocs = new Map(); // roomId -> Map(messageId -> message)
+
+const mockQuery = (roomId, { after = null, limit = Infinity } = {}) => ({
+  startAfter: (snapshot) => mockQuery(roomId, { after: snapshot.id, limit }),
+  limit: (n) => mockQuery(roomId, { after, limit: n }),
+  get: async () => {
+    let messages = Array.from((mockDocs.get(roomId) || new Map()).values())
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp) || b.id.localeCompare(a.id));
+    if (after) {
+      messages = messages.slice(messages.findIndex(m => m.id === after) + 1);
+    }
+    return { docs: messages.slice(0, limit).map(m => ({ id: m.id, data: () => m })) };
+  }
+});
+
+jest.mock('../src/config/firebase', () => ({
+  getFirestore: () => ({
+    collection: () => ({
+      doc: (roomId) => ({
+        collection: () => ({
+          orderBy: () => mockQuery(roomId),
+          doc: (id) => ({
+            set: async (message) => {
+              if (!mockDocs.has(roomId)) mockDocs.set(roomId, new Map());
+              mockDocs.get(roomId).set(id, message);
+            },
+            get: async () => {
+              const message = (mockDocs.get(roomId) || new Map()).get(id);
+              return { id, exists: !!message, data: () => message };
+            },
+            delete: async () => {
+              (mockDocs.get(roomId) || new Map()).delete(id);
+            }
+          })
+        })
+      })
+    })
+  })
+}));
+
+const chatService = require('../src/services/chatService');
+
+describe('Chat Service', () => {
+  const user = { userId: 'user-1', name: 'Alice', role: 'student' };
+
+  beforeEach(() => {
+    mockDocs.clear();
+    chatService.configureFilter([]);
+  });
+
+  it('should create messages with unique IDs', () => {
+    const first = chatService.createMessage(user, 'hi');
+    const second = chatService.createMessage(user, 'hi');
+
+    expect(first.id).not.toBe(second.id);
+    expect(first).toMatchObject({ userId: 'user-1', name: 'Alice', text: 'hi' });
+  });
+
+  it('should page back through history with a cursor', async () => {
+    for (let i = 0; i < 5; i++) {
+      const message = chatService.createMessage(user, `message ${i}`);
+      message.timestamp = new Date(Date.UTC(2024, 0, 1, 0, 0, i)).toISOString();
+      await chatService.saveMessage('room-1', message);
+    }
+
+    const latest = await chatService.getHistory('room-1', { limit: 2 });
+    expect(latest.messages.map(m => m.text)).toEqual(['message 3', 'message 4']);
+    expect(latest.nextCursor).toBe(latest.messages[0].id);
+
+    const older = await chatService.getHistory('room-1', { before: latest.nextCursor, limit: 2 });
+    expect(older.messages.map(m => m.text)).toEqual(['message 1', 'message 2']);
+
+    const oldest = await chatService.getHistory('room-1', { before: older.nextCursor, limit: 2 });
+    expect(oldest.messages.map(m => m.text)).toEqual(['message 0']);
+    expect(oldest.nextCursor).toBeNull();
+  });
+
+  it('should reject unknown cursors', async () => {
+    await expect(chatService.getHistory('room-1', { before: 'missing' })).rejects.toThrow('Unknown history cursor');
+  });
+
+  it('should delete stored messages', async () => {
+    const message = await chatService.saveMessage('room-1', chatService.createMessage(user, 'oops'));
+
+    expect(await chatService.deleteMessage('room-1', message.id)).toBe(true);
+    expect(await chatService.deleteMessage('room-1', message.id)).toBe(false);
+    expect((await chatService.getHistory('room-1')).messages).toEqual([]);
+  });
+
+  it('should mask filtered words', () => {
+    chatService.configureFilter(['darn']);
+
+    expect(chatService.filterText('Darn it, darnation')).toEqual({ text: '**** it, darnation' });
+    expect(chatService.filterText('all good')).toEqual({ text: 'all good' });
+  });
+
+  it('should reject filtered words in reject mode', () => {
+    chatService.configureFilter(['darn'], 'reject');
+
+    expect(chatService.filterText('darn')).toEqual({ error: 'Message contains blocked words' });
+  });
+});
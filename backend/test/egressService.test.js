@@ -0,0 +1,73 @@
+jest.mock('../src/config/mediasoup', () => ({
+  getRouter: jest.fn(),
+  pipeProducerToRouter: jest.fn()
+}));
+
+const fs = require('fs');
+const path = require('path');
+const { getRouter } = require('../src/config/mediasoup');
+const egressService = require('../src/services/egressService');
+
+describe('Egress Service', () => {
+  it('should transcode to HLS segments', () => {
+    const args = egressService.transcoderArgs({
+      sdpPath: '/tmp/live/room/input.sdp',
+      mode: 'hls',
+      output: '/tmp/live/room/live.m3u8'
+    });
+
+    expect(args).toEqual(expect.arrayContaining(['-c:v', 'libx264', '-c:a', 'aac', '-f', 'hls']));
+    expect(args).toContain('/tmp/live/room/segment-%05d.ts');
+    expect(args[args.length - 1]).toBe('/tmp/live/room/live.m3u8');
+  });
+
+  it('should push FLV to RTMP', () => {
+    const args = egressService.transcoderArgs({
+      sdpPath: 'input.sdp',
+      mode: 'rtmp',
+      output: 'rtmp://127.0.0.1/live/room'
+    });
+
+    expect(args.slice(-3)).toEqual(['-f', 'flv', 'rtmp://127.0.0.1/live/room']);
+  });
+
+  it('should reject viewer tokens for rooms that are not live', () => {
+    expect(egressService.isLive('room-1')).toBe(false);
+    expect(egressService.verifyToken('room-1', 'anything')).toBe(false);
+    expect(egressService.getStatus('room-1')).toEqual({ live: false });
+  });
+
+  it('should refuse to start without sources', async () => {
+    await expect(egressService.start('room-1', { producers: [] })).rejects.toThrow('Nothing to broadcast');
+    expect(egressService.isLive('room-1')).toBe(false);
+  });
+
+  it('should keep output inside the HLS directory whatever the room ID', async () => {
+    const hlsDir = path.resolve(process.env.EGRESS_HLS_DIR || './live');
+    const rm = jest.spyOn(fs.promises, 'rm').mockResolvedValue();
+    getRouter.mockReturnValue({
+      id: 'router-1',
+      createPlainTransport: jest.fn(() => Promise.reject(new Error('no ports')))
+    });
+
+    const stopped = jest.fn();
+    egressService.on('stopped', stopped);
+
+    await expect(egressService.start('..', {
+      producers: [{ producerId: 'p1', kind: 'video', routerId: 'router-1' }]
+    })).rejects.toThrow('no ports');
+
+    // Nothing is left reserved, and the room hears the broadcast is over
+    expect(egressService.usedPorts.size).toBe(0);
+    expect(stopped).toHaveBeenCalledWith('..');
+    egressService.off('stopped', stopped);
+
+    expect(rm).toHaveBeenCalledTimes(1);
+    const [removed] = rm.mock.calls[0];
+    expect(path.dirname(removed)).toBe(hlsDir);
+    expect(path.basename(removed)).toMatch(/^[0-9a-f]{32}$/);
+
+    rm.mockRestore();
+    getRouter.mockReset();
+  });
+});
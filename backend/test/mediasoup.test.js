@@ -0,0 +1,219 @@
+// Mock mediasoup before requiring the config module
+let mockNextPid = 1;
+let mockNextRouterId = 1;
+
+const mockCreateRouter = (appData) => {
+  const closeListeners = [];
+  const router = {
+    id: `router-${mockNextRouterId++}`,
+    appData,
+    rtpCapabilities: { codecs: [] },
+    observer: {
+      on: jest.fn((event, listener) => {
+        if (event === 'close') closeListeners.push(listener);
+      })
+    },
+    close: jest.fn(() => closeListeners.forEach(listener => listener())),
+    pipeToRouter: jest.fn(({ producerId, dataProducerId }) => Promise.resolve(producerId
+      ? { pipeProducer: { id: producerId, observer: { on: jest.fn() } } }
+      : { pipeDataProducer: { id: dataProducerId, observer: { on: jest.fn() } } })),
+    createWebRtcTransport: jest.fn(({ appData }) => Promise.resolve({
+      id: `transport-${mockNextRouterId++}`,
+      appData,
+      on: jest.fn(),
+      observer: { on: jest.fn() },
+      setMaxIncomingBitrate: jest.fn(() => Promise.resolve()),
+      setMaxOutgoingBitrate: jest.fn(() => Promise.resolve())
+    }))
+  };
+  return router;
+};
+
+jest.mock('mediasoup', () => ({
+  createWorker: jest.fn((settings) => {
+    const listeners = {};
+    const routers = [];
+    const worker = {
+      pid: mockNextPid++,
+      appData: settings.appData,
+      died: false,
+      on: jest.fn((event, listener) => {
+        listeners[event] = listener;
+      }),
+      close: jest.fn(),
+      createRouter: jest.fn(({ appData }) => {
+        const router = mockCreateRouter(appData);
+        routers.push(router);
+        return Promise.resolve(router);
+      }),
+      // Simulate the subprocess crashing the way mediasoup reports it
+      simulateDeath: () => {
+        worker.died = true;
+        routers.forEach(router => router.close());
+        listeners.died(new Error('worker crashed'));
+      }
+    };
+    return Promise.resolve(worker);
+  })
+}));
+
+process.env.MEDIASOUP_NUM_WORKERS = '2';
+process.env.MEDIASOUP_MAX_PARTICIPANTS_PER_ROUTER = '2';
+
+describe('Mediasoup worker pool', () => {
+  let mediasoupConfig;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    delete require.cache[require.resolve('../src/config/mediasoup')];
+    mediasoupConfig = require('../src/config/mediasoup');
+    await mediasoupConfig.initializeMediasoup();
+  });
+
+  afterEach(() => {
+    mediasoupConfig.closeWorkers();
+    console.log.mockRestore();
+  });
+
+  it('should start the configured number of workers', () => {
+    expect(mediasoupConfig.getWorkers()).toHaveLength(2);
+    expect(mediasoupConfig.getRouterRtpCapabilities()).toEqual({ codecs: [] });
+  });
+
+  it('should create one router per room and reuse it', async () => {
+    const router = await mediasoupConfig.createRouter('room-a');
+    const again = await mediasoupConfig.createRouter('room-a');
+
+    expect(again).toBe(router);
+    expect(mediasoupConfig.getRouter('room-a')).toBe(router);
+  });
+
+  it('should place new rooms on the least-loaded worker', async () => {
+    const routerA = await mediasoupConfig.createRouter('room-a');
+    const routerB = await mediasoupConfig.createRouter('room-b');
+
+    expect(routerA.appData.workerPid).not.toBe(routerB.appData.workerPid);
+
+    const loads = mediasoupConfig.getWorkerLoads();
+    expect(loads.map(l => l.routers)).toEqual([1, 1]);
+  });
+
+  it('should track transports per worker', async () => {
+    await mediasoupConfig.createRouter('room-a');
+    await mediasoupConfig.createWebRtcTransport('room-a');
+
+    const totalTransports = mediasoupConfig.getWorkerLoads()
+      .reduce((sum, l) => sum + l.transports, 0);
+    expect(totalTransports).toBe(1);
+  });
+
+  it('should cap new transports with the given bandwidth limits', async () => {
+    const router = await mediasoupConfig.createRouter('room-a');
+    const { transport } = await mediasoupConfig.createWebRtcTransport('room-a', undefined, {
+      maxIncomingBitrate: 800000,
+      maxOutgoingBitrate: 500000
+    }, { screenShare: false });
+
+    expect(router.createWebRtcTransport).toHaveBeenCalledWith(expect.objectContaining({
+      initialAvailableOutgoingBitrate: 500000,
+      appData: { screenShare: false }
+    }));
+    expect(transport.setMaxIncomingBitrate).toHaveBeenCalledWith(800000);
+    expect(transport.setMaxOutgoingBitrate).toHaveBeenCalledWith(500000);
+  });
+
+  it('should release the router when the room is closed', async () => {
+    await mediasoupConfig.createRouter('room-a');
+    mediasoupConfig.closeRouter('room-a');
+
+    expect(mediasoupConfig.getRouter('room-a')).toBeUndefined();
+    expect(mediasoupConfig.getWorkerLoads().map(l => l.routers)).toEqual([0, 0]);
+  });
+
+  it('should span a new router on another worker once the room is full', async () => {
+    const primary = await mediasoupConfig.createRouter('room-a');
+
+    const first = await mediasoupConfig.assignRouter('room-a');
+    const second = await mediasoupConfig.assignRouter('room-a');
+    const third = await mediasoupConfig.assignRouter('room-a');
+
+    expect(first).toBe(primary);
+    expect(second).toBe(primary);
+    expect(third).not.toBe(primary);
+    expect(third.appData.workerPid).not.toBe(primary.appData.workerPid);
+    expect(mediasoupConfig.getRoomRouters('room-a')).toEqual([primary, third]);
+  });
+
+  it('should close extra routers once their last participant leaves', async () => {
+    const primary = await mediasoupConfig.createRouter('room-a');
+    await mediasoupConfig.assignRouter('room-a');
+    await mediasoupConfig.assignRouter('room-a');
+    const overflow = await mediasoupConfig.assignRouter('room-a');
+
+    mediasoupConfig.releaseRouter('room-a', overflow.id);
+
+    expect(overflow.close).toHaveBeenCalled();
+    expect(mediasoupConfig.getRoomRouters('room-a')).toEqual([primary]);
+  });
+
+  it('should pipe a producer to another router only once', async () => {
+    const primary = await mediasoupConfig.createRouter('room-a');
+    await mediasoupConfig.assignRouter('room-a');
+    await mediasoupConfig.assignRouter('room-a');
+    const overflow = await mediasoupConfig.assignRouter('room-a');
+
+    const pipeProducer = await mediasoupConfig.pipeProducerToRouter('room-a', 'producer-1', primary.id, overflow.id);
+    await mediasoupConfig.pipeProducerToRouter('room-a', 'producer-1', primary.id, overflow.id);
+    await mediasoupConfig.pipeProducerToRouter('room-a', 'producer-1', primary.id, primary.id);
+
+    expect(pipeProducer.id).toBe('producer-1');
+    expect(primary.pipeToRouter).toHaveBeenCalledTimes(1);
+    expect(primary.pipeToRouter).toHaveBeenCalledWith({ producerId: 'producer-1', router: overflow });
+  });
+
+  it('should pipe a data producer to another router', async () => {
+    const primary = await mediasoupConfig.createRouter('room-a');
+    await mediasoupConfig.assignRouter('room-a');
+    await mediasoupConfig.assignRouter('room-a');
+    const overflow = await mediasoupConfig.assignRouter('room-a');
+
+    const pipeDataProducer = await mediasoupConfig.pipeDataProducerToRouter('room-a', 'data-producer-1', primary.id, overflow.id);
+    await mediasoupConfig.pipeDataProducerToRouter('room-a', 'data-producer-1', primary.id, overflow.id);
+
+    expect(pipeDataProducer.id).toBe('data-producer-1');
+    expect(primary.pipeToRouter).toHaveBeenCalledTimes(1);
+    expect(primary.pipeToRouter).toHaveBeenCalledWith({ dataProducerId: 'data-producer-1', router: overflow });
+  });
+
+  it('should respawn a dead worker and rebuild its rooms elsewhere', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const router = await mediasoupConfig.createRouter('room-a');
+    await mediasoupConfig.createRouter('room-b');
+    const deadWorker = mediasoupConfig.getWorkers()
+      .find(w => w.pid === router.appData.workerPid);
+
+    const failed = jest.fn();
+    const recreated = new Promise(resolve => {
+      mediasoupConfig.mediasoupEvents.on('routerRecreated', (...args) => resolve(args));
+    });
+    mediasoupConfig.mediasoupEvents.on('routerFailed', failed);
+
+    deadWorker.simulateDeath();
+    const [roomId, newRouter] = await recreated;
+
+    expect(failed).toHaveBeenCalledWith('room-a');
+    expect(failed).not.toHaveBeenCalledWith('room-b');
+    expect(roomId).toBe('room-a');
+    expect(newRouter.appData.workerPid).not.toBe(deadWorker.pid);
+    expect(mediasoupConfig.getRouter('room-a')).toBe(newRouter);
+    expect(mediasoupConfig.getWorkers()).toHaveLength(2);
+    expect(mediasoupConfig.getWorkers()).not.toContain(deadWorker);
+    console.error.mockRestore();
+  });
+
+  it('should reject transports for rooms without a router', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(mediasoupConfig.createWebRtcTransport('missing')).rejects.toThrow('No router');
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,53 @@
+jest.mock('../src/config/mediasoup', () => ({
+  getWorkers: jest.fn(() => [{
+    pid: 42,
+    getResourceUsage: jest.fn(() => Promise.resolve({ ru_utime: 1500, ru_stime: 500, ru_maxrss: 2048 }))
+  }]),
+  getWorkerLoads: jest.fn(() => [{ pid: 42, routers: 3, transports: 7 }]),
+  assignRouter: jest.fn(),
+  releaseRouter: jest.fn(),
+  closeRouter: jest.fn()
+}));
+
+const metricsService = require('../src/services/metricsService');
+const roomService = require('../src/services/roomService');
+
+describe('Metrics Service', () => {
+  it('should expose room and worker metrics in the text format', async () => {
+    roomService.addUserToRoom('metrics-room', 'user1', 'socket1', { name: 'User 1', role: 'teacher' });
+
+    const output = await metricsService.getMetrics();
+
+    expect(output).toContain('# TYPE videoconf_rooms gauge');
+    expect(output).toContain('videoconf_rooms 1');
+    expect(output).toContain('videoconf_participants 1');
+    expect(output).toContain('videoconf_mediasoup_worker_routers{pid="42"} 3');
+    expect(output).toContain('videoconf_mediasoup_worker_cpu_seconds{pid="42",mode="user"} 1.5');
+    expect(output).toContain('videoconf_mediasoup_worker_max_rss_bytes{pid="42"} 2097152');
+
+    roomService.removeUserFromRoom('socket1');
+  });
+
+  it('should count signaling events and time their acknowledgements', async () => {
+    const ack = jest.fn();
+    const packet = ['produce', { kind: 'audio' }, ack];
+
+    metricsService.observeSignalingEvent(packet, true);
+    packet[2]({ error: 'Transport not found' });
+    metricsService.observeSignalingEvent(['whatever'], false);
+
+    expect(ack).toHaveBeenCalledWith({ error: 'Transport not found' });
+
+    const output = await metricsService.getMetrics();
+    expect(output).toContain('videoconf_signaling_events_total{event="produce",status="error"} 1');
+    expect(output).toContain('videoconf_signaling_events_total{event="unknown",status="no_ack"} 1');
+    expect(output).toContain('videoconf_signaling_event_duration_seconds_count{event="produce"} 1');
+  });
+
+  it('should count authentication failures', async () => {
+    metricsService.recordAuthFailure('missing_token');
+
+    const output = await metricsService.getMetrics();
+    expect(output).toContain('videoconf_signaling_auth_failures_total{reason="missing_token"} 1');
+  });
+});
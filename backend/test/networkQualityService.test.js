@@ -0,0 +1,96 @@
+jest.mock('../src/config/mediasoup', () => ({
+  assignRouter: jest.fn(),
+  releaseRouter: jest.fn(),
+  closeRouter: jest.fn()
+}));
+
+const roomService = require('../src/services/roomService');
+const networkQualityService = require('../src/services/networkQualityService');
+const { scoreStreams, summarize } = networkQualityService;
+
+describe('Network Quality', () => {
+  it('should score clean streams as excellent', () => {
+    const result = scoreStreams([{ kind: 'video', fractionLost: 0, roundTripTime: 40, bitrate: 800000 }]);
+
+    expect(result).toEqual({ score: 5, packetLoss: 0, rtt: 40, bitrate: 800000 });
+    expect(summarize(result, null)).toEqual({ score: 5, level: 'excellent' });
+  });
+
+  it('should lose points for packet loss, RTT and starved video', () => {
+    // 13/256 ~ 5.1% loss, 250ms RTT, 50kbps video
+    const result = scoreStreams([
+      { kind: 'video', fractionLost: 13, roundTripTime: 250, bitrate: 50000 },
+      { kind: 'audio', fractionLost: 0, roundTripTime: 250, bitrate: 32000 }
+    ]);
+
+    expect(result.score).toBe(1);
+    expect(result.bitrate).toBe(82000);
+  });
+
+  it('should report the worse direction and unknown without media', () => {
+    expect(summarize({ score: 4 }, { score: 2 })).toEqual({ score: 2, level: 'poor' });
+    expect(scoreStreams([])).toBeNull();
+    expect(summarize(null, null)).toEqual({ score: null, level: 'unknown' });
+  });
+
+  it('should build a participant report from mediasoup stats', async () => {
+    const participant = {
+      userId: 'student1',
+      name: 'Student 1',
+      role: 'student',
+      producers: new Map([['p1', {
+        getStats: () => Promise.resolve([{ type: 'inbound-rtp', kind: 'audio', fractionLost: 0, bitrate: 30000 }])
+      }]]),
+      consumers: new Map([['c1', {
+        getStats: () => Promise.resolve([
+          { type: 'outbound-rtp', kind: 'video', fractionLost: 20, roundTripTime: 100, bitrate: 500000 },
+          { type: 'inbound-rtp', kind: 'video', fractionLost: 0, bitrate: 500000 }
+        ])
+      }]]),
+      transports: new Map([['t1', {
+        getStats: () => Promise.resolve([{ recvBitrate: 30000, sendBitrate: 500000 }])
+      }]])
+    };
+
+    const report = await networkQualityService.collectParticipant(participant);
+
+    expect(report).toMatchObject({
+      userId: 'student1',
+      score: 3,
+      level: 'fair',
+      upstream: { score: 5 },
+      downstream: { score: 3, rtt: 100 },
+      transport: { recvBitrate: 30000, sendBitrate: 500000 }
+    });
+    expect(participant.networkQuality).toBe(report);
+  });
+
+  it('should read a participant\'s stats in parallel and skip overlapping collections', async () => {
+    let release;
+    const pending = new Promise(resolve => { release = resolve; });
+    const getStats = jest.fn(() => pending);
+    const participant = {
+      userId: 'student1',
+      producers: new Map([['p1', { getStats }], ['p2', { getStats }]]),
+      consumers: new Map([['c1', { getStats }]]),
+      transports: new Map([['t1', { getStats: () => Promise.reject(new Error('closed')) }]])
+    };
+    const getAllRooms = jest.spyOn(roomService, 'getAllRooms').mockReturnValue(['room1']);
+    jest.spyOn(roomService, 'getRoomParticipants').mockReturnValue([participant]);
+
+    const first = networkQualityService.collectAll();
+    await Promise.resolve();
+    expect(getStats).toHaveBeenCalledTimes(3);
+
+    await networkQualityService.collectAll();
+    expect(getAllRooms).toHaveBeenCalledTimes(1);
+
+    release([]);
+    await first;
+    expect(participant.networkQuality).toMatchObject({ level: 'unknown', transport: { recvBitrate: 0 } });
+
+    await networkQualityService.collectAll();
+    expect(getAllRooms).toHaveBeenCalledTimes(2);
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,148 @@
+const mockWrites = [];
+const mockStored = [];
+
+jest.mock('../src/config/firebase', () => ({
+  getFirestore: () => ({
+    collection: () => ({
+      doc: () => ({
+        collection: () => ({
+          doc: (id) => ({
+            set: async (data) => mockWrites.push({ id, op: 'set', data }),
+            update: async (data) => mockWrites.push({ id, op: 'update', data })
+          }),
+          get: async () => ({ docs: mockStored.map(data => ({ data: () => data })) })
+        })
+      })
+    })
+  })
+}));
+
+jest.mock('../src/config/mediasoup', () => ({
+  assignRouter: jest.fn(),
+  releaseRouter: jest.fn(),
+  closeRouter: jest.fn()
+}));
+
+const pollService = require('../src/services/pollService');
+const roomService = require('../src/services/roomService');
+
+// Let queued Firestore writes run
+const flushWrites = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Poll Service', () => {
+  const teacher = { userId: 'teacher1', name: 'Teacher' };
+  const student = { userId: 'student1', name: 'Student 1' };
+
+  beforeEach(() => {
+    mockWrites.length = 0;
+    mockStored.length = 0;
+    pollService.activePolls.clear();
+    pollService.closedPolls.clear();
+  });
+
+  it('should validate poll definitions', () => {
+    expect(pollService.validate({ question: 'Q?', options: ['A'] }).error).toMatch('options');
+    expect(pollService.validate({ type: 'quiz', question: 'Q?', options: ['A', 'B'], durationSeconds: 30 }).error)
+      .toMatch('correct option');
+    expect(pollService.validate({ type: 'quiz', question: 'Q?', options: ['A', 'B'], correctOption: 1 }).error)
+      .toMatch('duration');
+    expect(pollService.validate({ question: ' Q? ', options: ['A ', 'B'] }).definition)
+      .toMatchObject({ type: 'poll', question: 'Q?', options: ['A', 'B'], correctOption: null });
+  });
+
+  it('should accept one answer per student and aggregate results', async () => {
+    const { definition } = pollService.validate({ question: 'Q?', options: ['A', 'B', 'C'] });
+    const poll = await pollService.start('room-1', 'session-1', definition, teacher);
+
+    expect(pollService.answer('room-1', poll.id, student, 1).poll).toBe(poll);
+    expect(pollService.answer('room-1', poll.id, student, 2).error).toBe('You have already answered');
+    expect(pollService.answer('room-1', poll.id, { userId: 'student2', name: 'S2' }, 7).error).toBe('Invalid option');
+    expect(pollService.answer('room-1', 'other-poll', { userId: 'student2', name: 'S2' }, 0).error).toBe('Poll is not open');
+
+    expect(pollService.getResults(poll)).toEqual({ counts: [0, 1, 0], totalAnswers: 1 });
+    expect(pollService.getPublicView(poll)).not.toHaveProperty('answers');
+
+    await flushWrites();
+    expect(mockWrites.map(w => w.op)).toEqual(['set', 'update']);
+    expect(mockWrites[0].data).toMatchObject({ sessionId: 'session-1', status: 'open' });
+  });
+
+  it('should end timed quizzes on their own', async () => {
+    jest.useFakeTimers();
+    const ended = jest.fn();
+    pollService.once('pollEnded', ended);
+
+    const { definition } = pollService.validate({
+      type: 'quiz', question: 'Q?', options: ['A', 'B'], correctOption: 0, durationSeconds: 10
+    });
+    const poll = await pollService.start('room-1', 'session-1', definition, teacher);
+    pollService.answer('room-1', poll.id, student, 0);
+
+    jest.advanceTimersByTime(10000);
+    jest.useRealTimers();
+
+    expect(ended).toHaveBeenCalledWith('room-1', poll);
+    expect(pollService.getActivePoll('room-1')).toBeNull();
+    expect(pollService.findPoll('room-1', poll.id)).toBe(poll);
+    expect(pollService.getResults(poll)).toMatchObject({ correctOption: 0, correctAnswers: 1 });
+  });
+
+  it('should only list polls to teachers who were in the room while they ran', async () => {
+    const { definition } = pollService.validate({ question: 'Q?', options: ['A', 'B'] });
+    const poll = await pollService.start('room-1', 'session-1', definition, teacher, ['teacher2']);
+    pollService.addTeacher('room-1', 'teacher3');
+    await pollService.end('room-1');
+    pollService.addTeacher('room-1', 'teacher4');
+
+    await flushWrites();
+    expect(mockWrites[0].data.teacherIds).toEqual(['teacher1', 'teacher2']);
+    expect(mockWrites[1].data).toEqual({ teacherIds: ['teacher1', 'teacher2', 'teacher3'] });
+
+    mockStored.push(
+      { ...pollService.getRecordFields(poll), startedAt: new Date('2024-01-02') },
+      { id: 'old-poll', sessionId: 'session-0', createdBy: { userId: 'teacher2' }, startedAt: new Date('2024-01-01') }
+    );
+
+    expect((await pollService.listPolls('room-1', undefined, 'teacher2')).map(p => p.id)).toEqual([poll.id, 'old-poll']);
+    expect((await pollService.listPolls('room-1', 'session-1', 'teacher2')).map(p => p.id)).toEqual([poll.id]);
+    expect((await pollService.listPolls('room-1', undefined, 'teacher3')).map(p => p.id)).toEqual([poll.id]);
+    expect(await pollService.listPolls('room-1', undefined, 'teacher4')).toEqual([]);
+  });
+
+  it('should export answers as CSV', () => {
+    const csv = pollService.toCSV([{
+      id: 'poll-1',
+      sessionId: 'session-1',
+      type: 'quiz',
+      question: 'Pick, one',
+      options: ['A', 'B'],
+      correctOption: 1,
+      answers: {
+        student1: { userId: 'student1', name: 'Student 1', option: 1, answeredAt: '2024-01-01T00:00:00.000Z' }
+      }
+    }]);
+
+    expect(csv.split('\n')[1]).toBe('session-1,poll-1,quiz,"Pick, one",student1,Student 1,1,B,true,2024-01-01T00:00:00.000Z');
+  });
+
+  it('should forget polls once their room is removed', async () => {
+    const { definition } = pollService.validate({ question: 'Q?', options: ['A', 'B'] });
+    roomService.addUserToRoom('room-gone', 'teacher1', 'socket-gone', { name: 'Teacher', role: 'teacher' });
+    await pollService.start('room-gone', 'session-1', definition, teacher);
+
+    // The last participant leaves: the room goes and the untimed poll with it
+    roomService.removeUserFromRoom('socket-gone');
+    expect(pollService.getActivePoll('room-gone')).toBeNull();
+    expect(pollService.closedPolls.has('room-gone')).toBe(false);
+
+    await flushWrites();
+    expect(mockWrites[mockWrites.length - 1].data).toMatchObject({ status: 'closed' });
+
+    // A new room with the same ID starts clean
+    roomService.addUserToRoom('room-gone', 'teacher1', 'socket-again', { name: 'Teacher', role: 'teacher' });
+    await expect(pollService.start('room-gone', 'session-2', definition, teacher)).resolves.toMatchObject({ sessionId: 'session-2' });
+
+    roomService.closeRoom('room-gone');
+    expect(pollService.getActivePoll('room-gone')).toBeNull();
+  });
+});
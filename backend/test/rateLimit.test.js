@@ -0,0 +1,128 @@
+jest.mock('../src/config/mediasoup', () => ({
+  getWorkers: jest.fn(() => []),
+  getWorkerLoads: jest.fn(() => []),
+  assignRouter: jest.fn(),
+  releaseRouter: jest.fn(),
+  closeRouter: jest.fn()
+}));
+
+const createRateLimiter = require('../src/sockets/rateLimit');
+const { TokenBucket } = createRateLimiter;
+const roomService = require('../src/services/roomService');
+
+// Minimal socket: runs packets through the registered middleware like Socket.IO does
+const createSocket = (id, uid = 'user1') => {
+  const middlewares = [];
+  const socket = {
+    id,
+    user: { uid, name: 'User 1' },
+    connected: true,
+    use: jest.fn(middleware => middlewares.push(middleware)),
+    listenerCount: jest.fn(event => (event === 'chat:message' ? 1 : 0)),
+    emit: jest.fn(),
+    disconnect: jest.fn(() => {
+      socket.connected = false;
+    }),
+    // Returns true when the packet reached the handlers
+    receive: (...packet) => {
+      let passed = true;
+      for (const middleware of middlewares) {
+        let called = false;
+        middleware(packet, () => {
+          called = true;
+        });
+        if (!called) {
+          passed = false;
+          break;
+        }
+      }
+      return passed;
+    }
+  };
+  return socket;
+};
+
+describe('Signaling Rate Limiting', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  it('should allow a burst and refill over time', () => {
+    const bucket = new TokenBucket({ burst: 2, rate: 1 }, 0);
+
+    expect(bucket.take(0)).toBe(true);
+    expect(bucket.take(0)).toBe(true);
+    expect(bucket.take(0)).toBe(false);
+    expect(bucket.take(500)).toBe(false);
+    expect(bucket.take(1000)).toBe(true);
+    expect(bucket.take(10000)).toBe(true);
+    expect(bucket.take(10000)).toBe(true);
+    expect(bucket.take(10000)).toBe(false);
+  });
+
+  it('should refuse a flood of chat messages with an error', () => {
+    const rateLimiter = createRateLimiter();
+    const socket = createSocket('socket1');
+    rateLimiter.registerHandlers(socket);
+
+    const results = Array.from({ length: 8 }, () => socket.receive('chat:message', { text: 'spam' }, jest.fn()));
+    expect(results.filter(Boolean)).toHaveLength(5);
+
+    const ack = jest.fn();
+    socket.receive('chat:message', { text: 'spam' }, ack);
+    expect(ack).toHaveBeenCalledWith({ error: 'Too many requests, please slow down' });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Signaling violation by User 1 (user1, socket socket1): chat:message'));
+  });
+
+  it('should share a user budget across sockets', () => {
+    const rateLimiter = createRateLimiter();
+    const first = createSocket('socket1');
+    const second = createSocket('socket2');
+    rateLimiter.registerHandlers(first);
+    rateLimiter.registerHandlers(second);
+
+    for (let i = 0; i < 5; i++) {
+      first.receive('chat:message', { text: 'hi' });
+    }
+    expect(second.receive('chat:message', { text: 'hi' })).toBe(false);
+  });
+
+  it('should disconnect repeat violators', () => {
+    const rateLimiter = createRateLimiter();
+    const socket = createSocket('socket1');
+    rateLimiter.registerHandlers(socket);
+
+    // Unregistered events share the default bucket (burst 20) before the 20 violations start counting
+    for (let i = 0; i < 40 && socket.connected; i++) {
+      socket.receive('nonsense');
+    }
+
+    expect(socket.emit).toHaveBeenCalledWith('rateLimit:disconnected', { reason: 'Too many refused requests' });
+    expect(socket.disconnect).toHaveBeenCalledWith(true);
+  });
+});
+
+describe('Participant Limits', () => {
+  it('should cap open mediasoup objects per participant', () => {
+    const participant = roomService.addUserToRoom('limits-room', 'student1', 'socket-limits', { name: 'Student', role: 'student' });
+
+    for (let i = 0; i < 4; i++) {
+      roomService.addTransport('limits-room', 'student1', { id: `t${i}`, closed: false });
+    }
+    expect(roomService.checkParticipantLimit('limits-room', 'student1', 'transports'))
+      .toEqual({ allowed: false, reason: 'You can have at most 4 transports' });
+
+    // Closed transports no longer count
+    participant.transports.get('t0').closed = true;
+    expect(roomService.checkParticipantLimit('limits-room', 'student1', 'transports')).toEqual({ allowed: true });
+    expect(roomService.checkParticipantLimit('limits-room', 'student1', 'consumers')).toEqual({ allowed: true });
+    expect(roomService.checkParticipantLimit('limits-room', 'nobody', 'consumers').allowed).toBe(false);
+
+    participant.transports.clear();
+    roomService.removeUserFromRoom('socket-limits');
+  });
+});
@@ -0,0 +1,56 @@
+const { createSdp, recorders } = require('../src/services/recorders');
+
+describe('Recorders', () => {
+  const opus = {
+    codecs: [{
+      mimeType: 'audio/opus',
+      payloadType: 100,
+      clockRate: 48000,
+      channels: 2,
+      parameters: { useinbandfec: 1, minptime: 10 }
+    }]
+  };
+
+  const vp8 = {
+    codecs: [{
+      mimeType: 'video/VP8',
+      payloadType: 101,
+      clockRate: 90000,
+      parameters: {}
+    }]
+  };
+
+  it('should describe an audio stream in SDP', () => {
+    const sdp = createSdp({ kind: 'audio', rtpParameters: opus, port: 50000 });
+
+    expect(sdp).toContain('c=IN IP4 127.0.0.1');
+    expect(sdp).toContain('m=audio 50000 RTP/AVP 100');
+    expect(sdp).toContain('a=rtpmap:100 opus/48000/2');
+    expect(sdp).toContain('a=fmtp:100 useinbandfec=1;minptime=10');
+  });
+
+  it('should describe a video stream in SDP without empty fmtp', () => {
+    const sdp = createSdp({ kind: 'video', rtpParameters: vp8, port: 50002 });
+
+    expect(sdp).toContain('m=video 50002 RTP/AVP 101');
+    expect(sdp).toContain('a=rtpmap:101 VP8/90000');
+    expect(sdp).not.toContain('a=fmtp');
+  });
+
+  it('should build recorder command lines', () => {
+    const options = { sdpPath: '/tmp/a.sdp', outputPath: '/tmp/a.mkv', codecName: 'VP8' };
+
+    const ffmpegArgs = recorders.ffmpeg.args(options);
+    expect(ffmpegArgs).toEqual(expect.arrayContaining(['-i', '/tmp/a.sdp', '/tmp/a.mkv']));
+
+    const gstArgs = recorders.gstreamer.args(options);
+    expect(gstArgs[0]).toBe('-e');
+    expect(gstArgs).toContain('rtpvp8depay');
+    expect(gstArgs).toContain('location=/tmp/a.mkv');
+  });
+
+  it('should reject codecs GStreamer cannot depayload', () => {
+    expect(() => recorders.gstreamer.args({ sdpPath: 'a', outputPath: 'b', codecName: 'AV1' }))
+      .toThrow('does not support codec');
+  });
+});
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockRecordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+process.env.RECORDINGS_DIR = mockRecordingsDir;
+
+jest.mock('../src/config/mediasoup', () => ({
+  getRouter: jest.fn(() => ({ id: 'router-1', observer: { once: jest.fn() } })),
+  pipeProducerToRouter: jest.fn()
+}));
+
+const recordingService = require('../src/services/recordingService');
+
+describe('Recording Service', () => {
+  const teacher = { userId: 'teacher1', name: 'Teacher' };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  afterAll(() => {
+    fs.rmSync(mockRecordingsDir, { recursive: true, force: true });
+  });
+
+  it('should keep recordings inside the recordings directory whatever the room ID', async () => {
+    const { sessionId } = await recordingService.start('../..', { startedBy: teacher });
+    await recordingService.stop('../..');
+
+    const [directory] = fs.readdirSync(mockRecordingsDir);
+    expect(directory).toMatch(/^[0-9a-f]{32}$/);
+    expect(fs.existsSync(path.join(mockRecordingsDir, directory, sessionId, 'session.json'))).toBe(true);
+
+    const recordings = await recordingService.listRecordings('../..', 'teacher1');
+    expect(recordings.map(recording => recording.id)).toEqual([sessionId]);
+    expect(await recordingService.resolveFile('../..', sessionId, 'session.json', 'teacher1'))
+      .toBe(path.join(mockRecordingsDir, directory, sessionId, 'session.json'));
+    expect(await recordingService.resolveFile('../..', '..', 'session.json', 'teacher1')).toBeNull();
+  });
+
+  it('should refuse a second start while the first is being set up', async () => {
+    const first = recordingService.start('room-2', { startedBy: teacher });
+    await expect(recordingService.start('room-2', { startedBy: teacher })).rejects.toThrow('Recording already in progress');
+
+    const { sessionId } = await first;
+    expect(recordingService.getStatus('room-2')).toMatchObject({ recording: true, sessionId });
+    await recordingService.stop('room-2');
+  });
+
+  it('should only give access to teachers who were in the room', async () => {
+    const { sessionId } = await recordingService.start('room-1', { startedBy: teacher, teacherIds: ['teacher2'] });
+    recordingService.addTeacher('room-1', 'teacher3');
+    const manifest = await recordingService.stop('room-1');
+
+    expect(manifest.teacherIds).toEqual(['teacher1', 'teacher2', 'teacher3']);
+    expect(await recordingService.listRecordings('room-1', 'teacher3')).toHaveLength(1);
+    expect(await recordingService.listRecordings('room-1', 'stranger')).toEqual([]);
+    expect((await recordingService.listRecordings(undefined, 'stranger'))).toEqual([]);
+    expect(await recordingService.resolveFile('room-1', sessionId, 'session.json', 'stranger')).toBeNull();
+  });
+});
@@ -0,0 +1,165 @@
+const MemoryRoomStore = require('../src/services/stores/memoryStore');
+const RedisRoomStore = require('../src/services/stores/redisStore');
+
+// Minimal stand-in for a node-redis client covering the commands the store uses
+const createFakeRedisClient = () => {
+  const sets = new Map();
+  const hashes = new Map();
+  const hash = (key) => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+  const set = (key) => {
+    if (!sets.has(key)) sets.set(key, new Set());
+    return sets.get(key);
+  };
+  const sortedSet = (key) => hash(key); // member -> score
+
+  const client = {
+    isOpen: true,
+    sAdd: async (key, member) => set(key).add(member),
+    sRem: async (key, member) => set(key).delete(member),
+    sIsMember: async (key, member) => set(key).has(member),
+    sMembers: async (key) => Array.from(set(key)),
+    del: async (keys) => [].concat(keys).forEach(key => hashes.delete(key)),
+    hSet: async (key, field, value) => hash(key).set(field, value),
+    hSetNX: async (key, field, value) => {
+      if (!hash(key).has(field)) hash(key).set(field, value);
+    },
+    hDel: async (key, fields) => [].concat(fields).forEach(field => hash(key).delete(field)),
+    hVals: async (key) => Array.from(hash(key).values()),
+    hGetAll: async (key) => Object.fromEntries(hash(key)),
+    zAdd: async (key, { score, value }) => sortedSet(key).set(value, score),
+    zRangeByScore: async (key, min, max) => Array.from(sortedSet(key))
+      .filter(([, score]) => score >= min && score <= max)
+      .map(([member]) => member),
+    zRem: async (key, members) => [].concat(members).forEach(member => sortedSet(key).delete(member)),
+    // Stands in for the store's two Lua scripts
+    eval: async (script, { keys, arguments: args }) => {
+      if (script.includes('HLEN')) {
+        const [roomsKey, ...roomKeys] = keys;
+        if (hash(roomKeys[1]).size > 0) return 0;
+        const removed = set(roomsKey).delete(args[0]);
+        roomKeys.forEach(key => hashes.delete(key));
+        return removed ? 1 : 0;
+      }
+      let deleted = 0;
+      for (let i = 0; i < args.length; i += 2) {
+        if (hash(keys[0]).get(args[i]) === args[i + 1]) {
+          hash(keys[0]).delete(args[i]);
+          deleted++;
+        }
+      }
+      return deleted;
+    }
+  };
+
+  client.multi = () => {
+    const queued = [];
+    const chain = new Proxy({}, {
+      get: (target, command) => {
+        if (command === 'exec') {
+          return () => Promise.all(queued.map(fn => fn()));
+        }
+        return (...args) => {
+          queued.push(() => client[command](...args));
+          return chain;
+        };
+      }
+    });
+    return chain;
+  };
+
+  return client;
+};
+
+const stores = [
+  ['MemoryRoomStore', () => new MemoryRoomStore()],
+  ['RedisRoomStore', () => new RedisRoomStore(createFakeRedisClient(), 'test:')]
+];
+
+describe.each(stores)('%s', (name, createStore) => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  it('should add, list and remove rooms', async () => {
+    await store.addRoom('room-1', { createdAt: new Date() });
+
+    expect(await store.hasRoom('room-1')).toBe(true);
+    expect(await store.listRooms()).toEqual(['room-1']);
+
+    await store.removeRoom('room-1');
+    expect(await store.hasRoom('room-1')).toBe(false);
+  });
+
+  it('should track participants', async () => {
+    await store.addParticipant('room-1', { userId: 'user-1', name: 'User 1', role: 'teacher' });
+    await store.addParticipant('room-1', { userId: 'user-2', name: 'User 2', role: 'student' });
+    await store.removeParticipant('room-1', 'user-1');
+
+    expect(await store.hasRoom('room-1')).toBe(true);
+    expect(await store.getParticipants('room-1')).toEqual([
+      { userId: 'user-2', name: 'User 2', role: 'student' }
+    ]);
+  });
+
+  it('should only remove rooms without participants', async () => {
+    await store.addParticipant('room-1', { userId: 'user-1', name: 'User 1', role: 'teacher' });
+    await store.addProducer('room-1', { id: 'p1', kind: 'audio', userId: 'user-1' });
+
+    expect(await store.removeRoomIfEmpty('room-1')).toBe(false);
+    expect(await store.hasRoom('room-1')).toBe(true);
+
+    await store.removeParticipant('room-1', 'user-1');
+    expect(await store.removeRoomIfEmpty('room-1')).toBe(true);
+    expect(await store.hasRoom('room-1')).toBe(false);
+    expect(await store.getProducers('room-1')).toEqual([]);
+    expect(await store.removeRoomIfEmpty('room-1')).toBe(false);
+  });
+
+  it('should register the room of a participant added after its removal', async () => {
+    await store.addRoom('room-1');
+    await Promise.all([
+      store.removeRoomIfEmpty('room-1'),
+      store.addParticipant('room-1', { userId: 'user-1', name: 'User 1', role: 'teacher' })
+    ]);
+
+    expect(await store.hasRoom('room-1')).toBe(true);
+    expect(await store.getParticipants('room-1')).toHaveLength(1);
+  });
+
+  it('should track producers per user', async () => {
+    await store.addRoom('room-1');
+    await store.addProducer('room-1', { id: 'p1', kind: 'audio', userId: 'user-1' });
+    await store.addProducer('room-1', { id: 'p2', kind: 'video', userId: 'user-1' });
+    await store.addProducer('room-1', { id: 'p3', kind: 'video', userId: 'user-2' });
+
+    await store.removeProducer('room-1', 'p1');
+    expect((await store.getProducers('room-1')).map(p => p.id).sort()).toEqual(['p2', 'p3']);
+
+    await store.removeUserProducers('room-1', 'user-1');
+    expect((await store.getProducers('room-1')).map(p => p.id)).toEqual(['p3']);
+  });
+
+  it('should purge the entries of instances whose heartbeat expired', async () => {
+    await store.touchNode('node-a', 1000);
+    await store.touchNode('node-b', 5000);
+    await store.addRoom('room-0');
+    await store.addParticipant('room-1', { userId: 'user-1', nodeId: 'node-a' });
+    await store.addParticipant('room-1', { userId: 'user-2', nodeId: 'node-b' });
+    await store.addProducer('room-1', { id: 'p1', userId: 'user-1', nodeId: 'node-a' });
+    await store.addProducer('room-1', { id: 'p2', userId: 'user-2', nodeId: 'node-b' });
+    await store.addParticipant('room-2', { userId: 'user-3', nodeId: 'node-a' });
+
+    expect(await store.removeExpiredNodes(2000)).toEqual(['node-a']);
+
+    expect((await store.getParticipants('room-1')).map(p => p.userId)).toEqual(['user-2']);
+    expect((await store.getProducers('room-1')).map(p => p.id)).toEqual(['p2']);
+    expect(await store.hasRoom('room-2')).toBe(false);
+    expect(await store.hasRoom('room-0')).toBe(true);
+    expect(await store.removeExpiredNodes(2000)).toEqual([]);
+  });
+});
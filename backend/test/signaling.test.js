@@ -0,0 +1,293 @@
+const { EventEmitter } = require('events');
+
+jest.mock('../src/config/firebase', () => ({
+  getFirestore: jest.fn(() => ({ collection: jest.fn() })),
+  verifyIdToken: jest.fn()
+}));
+
+jest.mock('../src/config/mediasoup', () => ({
+  createRouter: jest.fn(),
+  getRouter: jest.fn(() => ({ canConsume: () => true })),
+  pipeProducerToRouter: jest.fn(() => Promise.resolve()),
+  pipeDataProducerToRouter: jest.fn(() => Promise.resolve()),
+  assignRouter: jest.fn(),
+  releaseRouter: jest.fn(),
+  closeRouter: jest.fn(),
+  setTransportBitrates: jest.fn(),
+  createWebRtcTransport: jest.fn(),
+  getRouterRtpCapabilities: jest.fn(),
+  mediasoupEvents: { on: jest.fn() }
+}));
+
+const setupSignaling = require('../src/sockets/signaling');
+const roomService = require('../src/services/roomService');
+const networkQualityService = require('../src/services/networkQualityService');
+const audioObserverService = require('../src/services/audioObserverService');
+const MemoryRoomStore = require('../src/services/stores/memoryStore');
+
+// Fake mediasoup producer/consumer: emits mediasoup events, records calls
+const createProducer = (id, kind = 'video') => Object.assign(new EventEmitter(), {
+  id,
+  kind,
+  type: 'simple',
+  close: jest.fn(),
+  pause: jest.fn(() => Promise.resolve()),
+  resume: jest.fn(() => Promise.resolve())
+});
+
+const createConsumer = (id, producerId, type = 'simple') => Object.assign(new EventEmitter(), {
+  id,
+  producerId,
+  kind: 'video',
+  type,
+  rtpParameters: {},
+  producerPaused: false,
+  preferredLayers: undefined,
+  currentLayers: undefined,
+  pause: jest.fn(() => Promise.resolve()),
+  resume: jest.fn(() => Promise.resolve()),
+  setPreferredLayers: jest.fn(function (layers) {
+    this.preferredLayers = layers;
+    return Promise.resolve();
+  })
+});
+
+describe('Signaling', () => {
+  const roomId = 'test-room';
+  let onConnection;
+  let emitted;
+  let io;
+
+  // Connect a fake socket; request() calls a handler like a client would and resolves with its acknowledgement
+  const connect = (id, user) => {
+    const handlers = {};
+    const socket = {
+      id,
+      user,
+      connected: true,
+      on: (event, handler) => { handlers[event] = handler; },
+      use: jest.fn(),
+      join: jest.fn(),
+      leave: jest.fn(),
+      emit: jest.fn(),
+      to: jest.fn(() => ({ emit: jest.fn() })),
+      listenerCount: (event) => (handlers[event] ? 1 : 0)
+    };
+    onConnection(socket);
+    socket.request = (event, data) => new Promise(resolve => handlers[event](data, resolve));
+    return socket;
+  };
+
+  const emittedTo = (target, event) => emitted
+    .filter(e => e.target === target && e.event === event)
+    .map(e => e.payload);
+
+  let teacher;
+  let student;
+  let producer;
+
+  beforeAll(() => {
+    io = {
+      use: jest.fn(),
+      on: jest.fn((event, handler) => { onConnection = handler; }),
+      to: jest.fn((target) => ({ emit: (event, payload) => emitted.push({ target, event, payload }) })),
+      in: jest.fn(() => ({ disconnectSockets: jest.fn() }))
+    };
+    setupSignaling(io);
+  });
+
+  afterAll(() => {
+    networkQualityService.stop();
+  });
+
+  beforeEach(() => {
+    emitted = [];
+    roomService.rooms.clear();
+    roomService.users.clear();
+    roomService.setStore(new MemoryRoomStore());
+
+    roomService.addUserToRoom(roomId, 'teacher1', 'socket1', { name: 'Teacher', role: 'teacher' });
+    roomService.addUserToRoom(roomId, 'student1', 'socket2', { name: 'Student', role: 'student' });
+    teacher = connect('socket1', { uid: 'teacher1', name: 'Teacher', role: 'teacher' });
+    student = connect('socket2', { uid: 'student1', name: 'Student', role: 'student' });
+
+    producer = createProducer('producer1');
+    roomService.addProducer(roomId, 'teacher1', producer);
+  });
+
+  // Let the student consume the teacher's producer through a fake transport
+  const consume = async (consumer, data = {}) => {
+    const transport = { id: 'transport1', consume: jest.fn(() => Promise.resolve(consumer)) };
+    roomService.getParticipant(roomId, 'student1').transports.set(transport.id, transport);
+    const response = await student.request('consume', {
+      transportId: transport.id,
+      producerId: producer.id,
+      rtpCapabilities: {},
+      ...data
+    });
+    return { transport, response };
+  };
+
+  describe('Producers', () => {
+    it('should close a producer and tell the room', async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      expect(await roomService.listRoomProducers(roomId)).toHaveLength(1);
+
+      expect(await teacher.request('closeProducer', { producerId: 'producer1' })).toEqual({ success: true });
+
+      expect(producer.close).toHaveBeenCalled();
+      expect(roomService.getProducer(roomId, 'teacher1', 'producer1')).toBeUndefined();
+      expect(emittedTo(roomId, 'producerClosed')).toEqual([{ producerId: 'producer1', userId: 'teacher1' }]);
+
+      await new Promise(resolve => setImmediate(resolve));
+      expect(await roomService.listRoomProducers(roomId)).toEqual([]);
+    });
+
+    it('should only let the owner close, pause or resume a producer', async () => {
+      for (const event of ['closeProducer', 'pauseProducer', 'resumeProducer']) {
+        expect(await student.request(event, { producerId: 'producer1' })).toEqual({ error: 'Producer not found' });
+      }
+      expect(producer.close).not.toHaveBeenCalled();
+      expect(producer.pause).not.toHaveBeenCalled();
+    });
+
+    it('should pause and resume a producer', async () => {
+      expect(await teacher.request('pauseProducer', { producerId: 'producer1' })).toEqual({ success: true });
+      expect(producer.pause).toHaveBeenCalled();
+
+      expect(await teacher.request('resumeProducer', { producerId: 'producer1' })).toEqual({ success: true });
+      expect(producer.resume).toHaveBeenCalled();
+    });
+  });
+
+  describe('Consumers', () => {
+    it('should pause and resume a consumer', async () => {
+      const consumer = createConsumer('consumer1', 'producer1');
+      await consume(consumer);
+
+      expect(await student.request('pauseConsumer', { consumerId: 'consumer1' })).toEqual({ success: true });
+      expect(consumer.pause).toHaveBeenCalled();
+
+      expect(await student.request('resumeConsumer', { consumerId: 'consumer1' })).toEqual({ success: true });
+      expect(consumer.resume).toHaveBeenCalled();
+
+      expect(await student.request('pauseConsumer', { consumerId: 'other' })).toEqual({ error: 'Consumer not found' });
+    });
+
+    it('should forward producer pause, resume and close to the consuming client', async () => {
+      const consumer = createConsumer('consumer1', 'producer1');
+      const { response } = await consume(consumer);
+      expect(response).toMatchObject({ success: true, id: 'consumer1' });
+
+      consumer.emit('producerpause');
+      consumer.emit('producerresume');
+      consumer.emit('producerclose');
+
+      const payload = { consumerId: 'consumer1', producerId: 'producer1' };
+      expect(emittedTo('socket2', 'producerPaused')).toEqual([payload]);
+      expect(emittedTo('socket2', 'producerResumed')).toEqual([payload]);
+      expect(emittedTo('socket2', 'consumerClosed')).toEqual([payload]);
+      expect(roomService.getConsumer(roomId, 'student1', 'consumer1')).toBeUndefined();
+    });
+
+    it('should forget a consumer when its transport closes', async () => {
+      const consumer = createConsumer('consumer1', 'producer1');
+      await consume(consumer);
+
+      consumer.emit('transportclose');
+
+      expect(roomService.getConsumer(roomId, 'student1', 'consumer1')).toBeUndefined();
+      expect(emittedTo('socket2', 'consumerClosed')).toEqual([]);
+    });
+  });
+
+  describe('Lobby', () => {
+    const student2 = { uid: 'student2', name: 'Student 2', role: 'student' };
+
+    beforeEach(() => {
+      jest.spyOn(audioObserverService, 'attachToRoom').mockResolvedValue(null);
+      roomService.setLobbyEnabled(roomId, true);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    // Send joinRoom and wait until the request is held; answer resolves with the (later) acknowledgement
+    const requestJoin = async (socket) => {
+      const answer = socket.request('joinRoom', { roomId });
+      await new Promise(resolve => setImmediate(resolve));
+      expect(socket.emit).toHaveBeenCalledWith('lobby:waiting', { roomId });
+      return { answer };
+    };
+
+    it('should replace a user\'s earlier request from another socket', async () => {
+      const first = await requestJoin(connect('socket3', student2));
+      const secondSocket = connect('socket4', student2);
+      const second = await requestJoin(secondSocket);
+
+      expect(await first.answer).toEqual({ error: 'Join request replaced' });
+      expect(roomService.getLobby(roomId).map(entry => entry.socketId)).toEqual(['socket4']);
+
+      expect(await teacher.request('lobby:deny', { userId: 'student2' })).toEqual({ success: true });
+      expect(await second.answer).toEqual({ error: 'Entry to the room was denied' });
+      expect(secondSocket.emit).toHaveBeenCalledWith('lobby:denied', { roomId });
+    });
+
+    it('should deny everyone waiting when the room is released', async () => {
+      const waitingSocket = connect('socket3', student2);
+      const { answer } = await requestJoin(waitingSocket);
+
+      roomService.closeRoom(roomId);
+
+      expect(await answer).toEqual({ error: 'Room was closed' });
+      expect(waitingSocket.emit).toHaveBeenCalledWith('lobby:denied', { roomId });
+      expect(await teacher.request('lobby:deny', { userId: 'student2' })).toEqual({ error: 'User not found in any room' });
+    });
+  });
+
+  describe('Consumer layers', () => {
+    it('should pass preferred layers through to a new consumer', async () => {
+      const { transport, response } = await consume(createConsumer('consumer1', 'producer1', 'simulcast'), {
+        preferredLayers: { spatialLayer: 0 }
+      });
+      expect(response.success).toBe(true);
+      expect(transport.consume).toHaveBeenCalledWith(expect.objectContaining({
+        producerId: 'producer1',
+        paused: true,
+        preferredLayers: { spatialLayer: 0 }
+      }));
+
+      const { transport: other } = await consume(createConsumer('consumer2', 'producer1', 'simulcast'));
+      expect(other.consume.mock.calls[0][0]).not.toHaveProperty('preferredLayers');
+    });
+
+    it('should only set preferred layers on simulcast and SVC consumers', async () => {
+      const simple = createConsumer('consumer1', 'producer1', 'simple');
+      await consume(simple);
+
+      expect(await student.request('setConsumerPreferredLayers', { consumerId: 'consumer1', spatialLayer: 1 }))
+        .toEqual({ error: 'Consumer has no layers' });
+      expect(simple.setPreferredLayers).not.toHaveBeenCalled();
+
+      const simulcast = createConsumer('consumer2', 'producer1', 'simulcast');
+      await consume(simulcast);
+
+      expect(await student.request('setConsumerPreferredLayers', { consumerId: 'consumer2', spatialLayer: 1, temporalLayer: 2 }))
+        .toEqual({ success: true, preferredLayers: { spatialLayer: 1, temporalLayer: 2 } });
+    });
+
+    it('should forward layer changes to the consuming client', async () => {
+      const consumer = createConsumer('consumer1', 'producer1', 'svc');
+      await consume(consumer);
+
+      consumer.emit('layerschange', { spatialLayer: 1, temporalLayer: 2 });
+      consumer.emit('layerschange', undefined);
+
+      expect(emittedTo('socket2', 'consumerLayersChanged')).toEqual([
+        { consumerId: 'consumer1', producerId: 'producer1', spatialLayer: 1, temporalLayer: 2 },
+        { consumerId: 'consumer1', producerId: 'producer1', spatialLayer: null, temporalLayer: null }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const eventSchemas = require('../src/sockets/schemas');
+const { validatePayload, createPacketValidator } = require('../src/sockets/validation');
+
+describe('Signaling Validation', () => {
+  const validatePacket = createPacketValidator(eventSchemas);
+
+  // Run a packet through the middleware; returns the packet the handler would get (or null if rejected)
+  const run = (packet) => {
+    const next = jest.fn();
+    validatePacket(packet, next);
+    return next.mock.calls.length > 0 ? packet : null;
+  };
+
+  it('should check types, enums, lengths and required fields', () => {
+    const produce = eventSchemas.produce.payload;
+    const valid = { transportId: 't1', kind: 'video', rtpParameters: {} };
+
+    expect(validatePayload(produce, valid)).toBeNull();
+    expect(validatePayload(produce, { ...valid, kind: 'screen' })).toBe('kind must be one of: audio, video');
+    expect(validatePayload(produce, { ...valid, transportId: 42 })).toBe('transportId must be a string');
+    expect(validatePayload(produce, { ...valid, rtpParameters: [] })).toBe('rtpParameters must be an object');
+    expect(validatePayload(produce, { kind: 'audio', rtpParameters: {} })).toBe('transportId is required');
+    expect(validatePayload(produce, 'video')).toBe('payload must be an object');
+
+    const chat = eventSchemas['chat:message'].payload;
+    expect(validatePayload(chat, { text: 'x'.repeat(2001) })).toBe('text must be at most 2000 characters');
+    expect(validatePayload(eventSchemas['poll:start'].payload, { question: 'Q', options: ['a', 2] }))
+      .toBe('options[1] must be a string');
+    expect(validatePayload(eventSchemas['breakout:create'].payload, { assignments: 3 }))
+      .toBe('assignments must be a string or an object');
+    expect(validatePayload(eventSchemas['breakout:create'].payload, { count: 1e9 }))
+      .toBe('count must be at most 20');
+  });
+
+  it('should only accept safe room IDs', () => {
+    const createRoom = eventSchemas.createRoom.payload;
+    const joinRoom = eventSchemas.joinRoom.payload;
+
+    expect(validatePayload(createRoom, { roomId: 'math-101_a' })).toBeNull();
+    for (const roomId of ['..', 'a/b', 'math:breakout:1', '', 'x'.repeat(129)]) {
+      expect(validatePayload(createRoom, { roomId })).toBe('roomId has an invalid format');
+    }
+
+    expect(validatePayload(joinRoom, { roomId: 'math-101' })).toBeNull();
+    expect(validatePayload(joinRoom, { roomId: 'math-101:breakout:3' })).toBeNull();
+    expect(validatePayload(joinRoom, { roomId: '../..' })).toBe('roomId has an invalid format');
+    expect(validatePayload(joinRoom, { roomId: 'math:other' })).toBe('roomId has an invalid format');
+  });
+
+  it('should answer malformed payloads without reaching the handler', () => {
+    const ack = jest.fn();
+
+    expect(run(['joinRoom', { roomId: { $gt: '' } }, ack])).toBeNull();
+    expect(ack).toHaveBeenCalledWith({ error: 'Invalid payload: roomId must be a string' });
+  });
+
+  it('should tolerate a missing acknowledgement', () => {
+    const packet = run(['chat:message', { text: 'hello' }]);
+
+    expect(packet[1]).toEqual({ text: 'hello' });
+    expect(typeof packet[2]).toBe('function');
+    expect(() => packet[2]({ success: true })).not.toThrow();
+    expect(run(['joinRoom', { roomId: 5 }])).toBeNull();
+  });
+
+  it('should normalize arguments to the handler signature', () => {
+    const ack = jest.fn();
+
+    // Events without a payload get only the callback, even if the client sent data
+    expect(run(['getProducers', { extra: true }, ack])).toEqual(['getProducers', ack]);
+    // An omitted payload becomes an empty object
+    expect(run(['createWebRtcTransport', ack])).toEqual(['createWebRtcTransport', {}, ack]);
+    // Events without a schema pass through untouched
+    expect(run(['somethingElse', 1, 2])).toEqual(['somethingElse', 1, 2]);
+  });
+
+  it('should have a schema for every signaling event', () => {
+    const socketsDir = path.join(__dirname, '../src/sockets');
+    const events = fs.readdirSync(socketsDir)
+      .flatMap(file => Array.from(
+        fs.readFileSync(path.join(socketsDir, file), 'utf8').matchAll(/socket\.on\('([^']+)'/g),
+        match => match[1]
+      ))
+      .filter(event => event !== 'disconnect');
+
+    expect(events.length).toBeGreaterThan(50);
+    expect(events.filter(event => !eventSchemas[event])).toEqual([]);
+  });
+});
@@ -0,0 +1,97 @@
+const Whiteboard = require('../src/services/whiteboard');
+
+describe('Whiteboard', () => {
+  const teacher = { userId: 'teacher1', role: 'teacher' };
+  const student = { userId: 'student1', role: 'student' };
+  const otherStudent = { userId: 'student2', role: 'student' };
+
+  let whiteboard;
+
+  beforeEach(() => {
+    whiteboard = new Whiteboard();
+  });
+
+  it('should order accepted operations and assign element IDs', () => {
+    const first = whiteboard.apply({ type: 'add', element: { type: 'line', points: [[0, 0], [10, 10]] } }, student);
+    const second = whiteboard.apply({ type: 'add', element: { type: 'text', x: 5, y: 5, text: 'Hi' } }, teacher);
+
+    expect(first.op.seq).toBe(1);
+    expect(second.op.seq).toBe(2);
+    expect(first.op.element.id).toBeDefined();
+    expect(first.op.element.authorId).toBe('student1');
+
+    const snapshot = whiteboard.getSnapshot();
+    expect(snapshot.version).toBe(2);
+    expect(snapshot.elements.map(e => e.type)).toEqual(['line', 'text']);
+  });
+
+  it('should reject invalid elements without advancing the version', () => {
+    expect(whiteboard.apply({ type: 'add', element: { type: 'script' } }, student).error).toBeDefined();
+    expect(whiteboard.apply({ type: 'add', element: { type: 'line', points: [[0, 0]] } }, student).error).toBe('Invalid points');
+    expect(whiteboard.version).toBe(0);
+  });
+
+  it('should bound the total number of points on a board', () => {
+    jest.isolateModules(() => {
+      process.env.WHITEBOARD_MAX_POINTS = '10';
+      const SmallWhiteboard = require('../src/services/whiteboard');
+      delete process.env.WHITEBOARD_MAX_POINTS;
+
+      const board = new SmallWhiteboard();
+      const path = (count) => ({ type: 'path', points: Array.from({ length: count }, (_, i) => [i, i]) });
+
+      const { op } = board.apply({ type: 'add', element: path(6) }, student);
+      expect(board.apply({ type: 'add', element: path(5) }, student).error).toBe('Whiteboard is full');
+      expect(board.apply({ type: 'add', element: path(4) }, student).op).toBeDefined();
+      expect(board.apply({ type: 'update', id: op.element.id, changes: { points: path(7).points } }, student).error).toBe('Whiteboard is full');
+      expect(board.version).toBe(2);
+
+      board.apply({ type: 'delete', id: op.element.id }, student);
+      expect(board.apply({ type: 'add', element: path(6) }, student).op).toBeDefined();
+
+      board.clear(teacher);
+      expect(board.totalPoints).toBe(0);
+      expect(board.apply({ type: 'add', element: path(10) }, student).op).toBeDefined();
+    });
+  });
+
+  it('should let only the author or a teacher change an element', () => {
+    const { op } = whiteboard.apply({ type: 'add', element: { type: 'rect', x: 0, y: 0, width: 10, height: 10 } }, student);
+    const id = op.element.id;
+
+    expect(whiteboard.apply({ type: 'delete', id }, otherStudent).error).toMatch('Only the author');
+
+    const update = whiteboard.apply({ type: 'update', id, changes: { x: 20, type: 'text' } }, student);
+    expect(update.op.element).toMatchObject({ id, type: 'rect', x: 20, authorId: 'student1' });
+
+    expect(whiteboard.apply({ type: 'delete', id }, teacher).op.seq).toBe(3);
+    expect(whiteboard.apply({ type: 'update', id, changes: { x: 0 } }, student).error).toBe('Element not found');
+  });
+
+  it('should only accept teacher drawing while locked', () => {
+    whiteboard.setLocked(true);
+
+    expect(whiteboard.apply({ type: 'add', element: { type: 'line', points: [[0, 0], [1, 1]] } }, student).error)
+      .toBe('Whiteboard is locked');
+    expect(whiteboard.apply({ type: 'add', element: { type: 'line', points: [[0, 0], [1, 1]] } }, teacher).op).toBeDefined();
+  });
+
+  it('should clear the board as an ordered operation', () => {
+    whiteboard.apply({ type: 'add', element: { type: 'line', points: [[0, 0], [1, 1]] } }, teacher);
+
+    const { op } = whiteboard.clear(teacher);
+
+    expect(op).toMatchObject({ seq: 2, type: 'clear', userId: 'teacher1' });
+    expect(whiteboard.getSnapshot().elements).toEqual([]);
+  });
+
+  it('should export escaped SVG', () => {
+    whiteboard.apply({ type: 'add', element: { type: 'text', x: 1, y: 2, text: '<b>&</b>', color: 'red"/>' } }, teacher);
+
+    const svg = whiteboard.toSVG();
+
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    expect(svg).toContain('&lt;b&gt;&amp;&lt;/b&gt;');
+    expect(svg).toContain('fill="#000000"');
+  });
+});